@@ -25,6 +25,10 @@ export default [
         URLSearchParams: "readonly",
         Image: "readonly",
         Blob: "readonly",
+        TextEncoder: "readonly",
+        TextDecoder: "readonly",
+        btoa: "readonly",
+        atob: "readonly",
         XMLSerializer: "readonly",
         HTMLAudioElement: "readonly",
         HTMLElement: "readonly",
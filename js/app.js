@@ -10,14 +10,28 @@ import {
   getTracksUrl,
   applyStaticTranslations,
 } from "./i18n/i18n.js";
-import { loadGeoJSON, loadSigils, loadTracks } from "./data/data.js";
+import {
+  assertDataReferences,
+  loadAlbumManifest,
+  loadGeoJSON,
+  loadRivers,
+  loadSigils,
+  loadTracks,
+} from "./data/data.js";
+import { album, applyAlbum, getAlbumUrl, getRequestedVolume } from "./data/album.js";
+import { DataValidationError, formatIssue } from "./data/validate.js";
 import { createMap, createStateColor } from "./map/map.js";
 import { createViewBoxAnimator, createTransformAnimator } from "./map/viewbox.js";
 import { createTextureCanvas } from "./map/texture-canvas.js";
 import { createMapGestures } from "./map/map-gestures.js";
 import { createThreeMorph } from "./three/three-morph.js";
 import { CHARACTER_MOVE_MAP } from "./ui/character-data.js";
-import { CHARACTER_STORAGE_KEY, PREFERS_REDUCED_MOTION } from "./core/constants.js";
+import {
+  CHARACTER_STORAGE_KEY,
+  PREFERS_REDUCED_MOTION,
+  TEXT_MODE_STORAGE_KEY,
+} from "./core/constants.js";
+import { escapeHtml, splitTrackTitle } from "./core/utils.js";
 import { createAudioReactive } from "./audio/audio-reactive.js";
 import { resolveSigilMap, createSigilManager } from "./map/sigils.js";
 import { createThreeInteraction } from "./three/three-interaction.js";
@@ -35,7 +49,36 @@ import {
   buildStateNeighborMap,
   explorationTrails,
   explorationOrder,
+  getFogSnapshot,
+  restoreFog,
 } from "./data/fog.js";
+import { loadJourney, saveJourney } from "./data/persistence.js";
+import { JOURNEY_QUERY_PARAM, decodeJourneyCode } from "./data/journey-codec.js";
+import { createJourneyTransfer } from "./ui/journey-transfer.js";
+import { createOfflineDownload } from "./ui/offline-download.js";
+import { createMapModes } from "./ui/map-modes.js";
+import { createJourneyRecap } from "./ui/journey-recap.js";
+import { createListeningPanel } from "./ui/listening-panel.js";
+import { createPlaybackBar } from "./ui/playback-bar.js";
+import { createPlaybackEngine } from "./audio/playback.js";
+import { createMediaSession } from "./audio/media-session.js";
+import { loadBindings } from "./core/keybindings.js";
+import { createKeyboardControls } from "./ui/keyboard.js";
+import { createKeyboardHelp } from "./ui/keyboard-help.js";
+import { createTextJourney } from "./ui/text-journey.js";
+import { getChoiceText } from "./data/branching.js";
+import { ensureSeed, getRequestedSeed, getSeed, setSeed } from "./core/random.js";
+import { getFlagSnapshot, restoreFlags } from "./data/narrative.js";
+import {
+  getEndingImage,
+  getEndingText,
+  getUnlockedEndingId,
+  setUnlockedEndingId,
+  unlockEnding,
+} from "./data/endings.js";
+import { getListeningSnapshot, restoreListening } from "./data/listening.js";
+import { loadListeningStats, saveListeningStats } from "./data/listening-stats.js";
+import { registerServiceWorker } from "./data/offline.js";
 
 /* ── fullscreen toggle button ── */
 {
@@ -70,18 +113,52 @@ import {
   characterConfirm,
   characterCards,
   aboutChangeCharacter,
+  journeyExport,
+  journeyImport,
+  journeyImportFile,
+  journeyShare,
+  journeyStatus,
+  offlineDownload,
+  offlineStatus,
+  updateToast,
+  updateReload,
+  keyboardHelpModal,
+  keyboardHelpList,
+  keyboardHelpClose,
+  keyboardHelpReset,
+  keyboardHelpStatus,
+  keyboardHelpOpen,
+  journeySeed,
+  mapModes,
+  mapModeSelect,
+  mapLegend,
+  playbackBar,
+  playbackLabel,
+  playbackToggle,
+  albumModeSelect,
+  crossfadeInput,
+  crossfadeValue,
+  listeningStatsPanel,
+  listeningStatsList,
+  listeningExport,
   finaleModal,
   finaleClose,
+  finaleText,
+  finaleArt,
+  finaleRecap,
   stateCanvas,
   threeStack,
-  dataUrl,
-  sigilsUrl,
-  tracksUrl,
+  textModeToggle,
+  textJourneySection,
+  textJourneyState,
+  textJourneyStatus,
+  textJourneyPlaces,
   shouldPreloadSnapshots,
   mobileMediaQuery,
 } from "./core/dom-refs.js";
 
 const prefersReducedMotion = PREFERS_REDUCED_MOTION;
+const isTextMode = localStorage.getItem(TEXT_MODE_STORAGE_KEY) === "true";
 
 let geojsonData = null;
 let activeStateId = null;
@@ -93,6 +170,7 @@ let trackByState = new Map();
 let trackById = new Map();
 let colorForState = null;
 let textureCanvas = null;
+let mapModeSwitcher = null;
 let sigilsByState = new Map();
 let selectedCharacter = null;
 let infoPaneGesture = null;
@@ -108,10 +186,31 @@ const stopAudioReactive = () => audioReactive.stopReactive();
 const startAmbientBreathing = () => audioReactive.startBreathing();
 const stopAmbientBreathing = () => audioReactive.stopBreathing();
 
+/** Album-mode order: discovery order, or revealed states in tracks.json order. */
+const getAlbumOrder = (mode) => {
+  if (mode === "exploration") return explorationOrder;
+  const trackIndex = new Map(Array.from(trackById.keys(), (trackId, i) => [trackId, i]));
+  return [...trackByState.keys()]
+    .filter((stateId) => isStateRevealed(stateId) && trackIndex.has(trackByState.get(stateId)))
+    .sort((a, b) => trackIndex.get(trackByState.get(a)) - trackIndex.get(trackByState.get(b)));
+};
+
+const playback = createPlaybackEngine({
+  getOrder: getAlbumOrder,
+  onAdvance: (stateId) => goToState(stateId, { skipQuestion: true, autoplay: true }),
+  onChange: () => {
+    playbackControls.update();
+    mediaSession.update();
+  },
+});
+
 const sigils = createSigilManager({
   svg,
   getMapApi: () => mapApi,
   getSigilsByState: () => sigilsByState,
+  onStateChange: (stateId, options) => {
+    if (options.pushState !== false) updateUrlState(stateId);
+  },
 });
 const { showHoverSigil, hideHoverSigil, renderFocusSigil, renderSigilLayer, clearFocusSigilLayer } =
   sigils;
@@ -172,6 +271,8 @@ const infoPanel = createInfoPanel({
   onShowQuestionModal: (stateId) => questionMgr.showQuestionModal(stateId),
   startAudioReactive,
   stopAudioReactive,
+  onListeningChange: () => persistJourney(),
+  loadTrackAudio: (stateId, file) => playback.load(stateId, file),
 });
 const renderInfo = (stateId, opts) => infoPanel.renderInfo(stateId, opts);
 
@@ -184,8 +285,10 @@ const questionMgr = createQuestionModal({
   getMapApi: () => mapApi,
   getTextureCanvas: () => textureCanvas,
   onClearSelection: () => clearSelection(),
-  onMapComplete: () => {
-    if (finaleModal) finaleModal.setAttribute("aria-hidden", "false");
+  onMapComplete: () => showFinaleModal(),
+  onJourneyChange: () => {
+    persistJourney();
+    mapModeSwitcher?.refreshLegend();
   },
 });
 const hideQuestionModal = () => questionMgr.hideQuestionModal();
@@ -218,6 +321,7 @@ const threeMorph = createThreeMorph({
   getTrackByState: () => trackByState,
   getTrackById: () => trackById,
   getColorForState: () => colorForState,
+  getRiversForState: (stateId) => mapApi?.getRiversForState?.(stateId) ?? [],
   getHourglassPlayer: () => infoPanel?.hourglassPlayer,
   setSplitLayout: (v) => setSplitLayout(v),
   setAnimating: (v) => setAnimating(v),
@@ -238,6 +342,166 @@ const nav = createNavigation({
 });
 const { animateToViewBox, getTargetViewBoxForState, updateUrlState } = nav;
 
+const getJourney = () => ({
+  ...getFogSnapshot(),
+  answeredQuestions: questionMgr.getAnsweredQuestions(),
+  selectedCharacter,
+  seed: getSeed(),
+  flags: getFlagSnapshot(),
+  ending: getUnlockedEndingId(),
+  listening: getListeningSnapshot(),
+});
+
+const persistJourney = () => saveJourney(getJourney());
+
+const getChoicesForState = (stateId) => {
+  const trackId = trackByState.get(String(stateId));
+  return ((trackId && trackById.get(trackId)?.choices) || []).map(getChoiceText);
+};
+
+const applyJourney = (journey) => {
+  restoreFog(journey, (stateId) => stateId !== "0" && stateCounts.has(stateId));
+  questionMgr.restoreAnsweredQuestions(journey.answeredQuestions);
+  if (journey.seed) setSeed(journey.seed);
+  restoreFlags(journey.flags);
+  setUnlockedEndingId(journey.ending);
+  restoreListening(journey.listening);
+  if (journey.selectedCharacter && CHARACTER_MOVE_MAP[journey.selectedCharacter]) {
+    localStorage.setItem(CHARACTER_STORAGE_KEY, journey.selectedCharacter);
+  }
+};
+
+/** Whether a saved journey went beyond the starting territory every journey has. */
+const hasProgress = (journey) =>
+  Boolean(journey) &&
+  (journey.explorationOrder.length > 1 ||
+    journey.questionedStates.length > 0 ||
+    Object.keys(journey.answeredQuestions).length > 0);
+
+/**
+ * Restore the journey before the first fog render: a `?journey=` share code replaces the
+ * locally saved one (after confirmation when that one has progress), then the param is
+ * dropped from the URL.
+ */
+const restoreJourney = () => {
+  const saved = loadJourney();
+  const url = new URL(window.location.href);
+  const code = url.searchParams.get(JOURNEY_QUERY_PARAM);
+  if (code) {
+    url.searchParams.delete(JOURNEY_QUERY_PARAM);
+    history.replaceState(history.state, "", url);
+    const shared = decodeJourneyCode(code, getChoicesForState);
+    if (!shared) {
+      console.warn("[journey] Ignoring invalid share code");
+    } else if (!hasProgress(saved) || window.confirm(t("journey.replaceConfirm"))) {
+      applyJourney(shared);
+      persistJourney();
+      return;
+    }
+  }
+  if (saved) applyJourney(saved);
+};
+
+/** `?seed=` wins over the journey's own seed; a journey without one gets a fresh seed. */
+const restoreSeed = () => {
+  const previous = getSeed();
+  const requested = getRequestedSeed();
+  if (requested) setSeed(requested);
+  const seed = ensureSeed();
+  if (seed !== previous) persistJourney();
+  if (journeySeed) journeySeed.textContent = t("journey.seed", { seed });
+};
+
+const journeyTransfer = createJourneyTransfer({
+  exportButton: journeyExport,
+  importButton: journeyImport,
+  importInput: journeyImportFile,
+  shareButton: journeyShare,
+  statusEl: journeyStatus,
+  getJourney,
+  getChoices: getChoicesForState,
+  onImport: (journey) => {
+    // Imported journeys take effect through a clean boot, like a language switch
+    saveJourney(journey);
+    if (journey.selectedCharacter && CHARACTER_MOVE_MAP[journey.selectedCharacter]) {
+      localStorage.setItem(CHARACTER_STORAGE_KEY, journey.selectedCharacter);
+    }
+    const url = new URL(window.location.href);
+    url.searchParams.delete("state");
+    location.replace(url);
+  },
+});
+journeyTransfer.init();
+
+const offlineDownloader = createOfflineDownload({
+  button: offlineDownload,
+  statusEl: offlineStatus,
+  getAudioUrls: () => [...new Set(Array.from(trackById.values(), (track) => track.file))],
+});
+offlineDownloader.init();
+
+const journeyRecap = createJourneyRecap({
+  list: finaleRecap,
+  getSigilsByState: () => sigilsByState,
+  getTrackForState: (stateId) => trackById.get(trackByState.get(stateId)) ?? null,
+  getAnsweredQuestion: (stateId) => questionMgr.getAnsweredQuestion(stateId),
+  onSelect: (stateId) => {
+    hideFinaleModal();
+    goToState(stateId);
+  },
+});
+journeyRecap.init();
+
+const listeningPanel = createListeningPanel({
+  details: listeningStatsPanel,
+  list: listeningStatsList,
+  exportButton: listeningExport,
+  getTrackById: (trackId) => trackById.get(trackId) ?? null,
+});
+listeningPanel.init();
+window.addEventListener("pagehide", saveListeningStats);
+
+const playbackControls = createPlaybackBar({
+  container: playbackBar,
+  toggleButton: playbackToggle,
+  label: playbackLabel,
+  modeSelect: albumModeSelect,
+  crossfadeInput,
+  crossfadeValue,
+  playback,
+  getTrackTitle: (stateId) => trackById.get(trackByState.get(stateId))?.title ?? "",
+});
+
+const mediaSession = createMediaSession({
+  playback,
+  getTrackForState: (stateId) => trackById.get(trackByState.get(stateId)) ?? null,
+  getSigilsByState: () => sigilsByState,
+  getHourglassPlayer: () => infoPanel.hourglassPlayer,
+  getActiveAudio: () => infoPanel.activeAudio,
+  getOrder: getAlbumOrder,
+  onSelectState: (stateId) => goToState(stateId, { skipQuestion: true, autoplay: true }),
+});
+mediaSession.init();
+
+const textJourney = createTextJourney({
+  container: textJourneyState,
+  status: textJourneyStatus,
+  placesList: textJourneyPlaces,
+  questions: questionMgr,
+  getTrackForState: (stateId) => trackById.get(trackByState.get(stateId)) ?? null,
+  getTrackAudio: (stateId, track) => infoPanel.getTrackAudio(stateId, track),
+  getStatsHooks: (audio) => infoPanel.getStatsHooks(audio),
+  getSigilsByState: () => sigilsByState,
+});
+
+registerServiceWorker({
+  onUpdateReady: (applyUpdate) => {
+    if (!updateToast) return;
+    updateToast.setAttribute("aria-hidden", "false");
+    updateReload?.addEventListener("click", applyUpdate, { once: true });
+  },
+});
+
 const selectState = (stateId, options = {}) => {
   if (!stateId) return;
   const normalized = String(stateId);
@@ -262,7 +526,7 @@ const selectState = (stateId, options = {}) => {
   const pendingResult =
     skipQuestion ? questionMgr.getAnsweredQuestion(normalized) || null : null;
 
-  renderInfo(normalized, { pendingQuestion, pendingResult });
+  renderInfo(normalized, { pendingQuestion, pendingResult, autoplay: options.autoplay });
 
   // Start 3D mesh prep concurrently with zoom
   let meshIsReady = false;
@@ -325,6 +589,33 @@ const clearSelection = (options = {}) => {
   setAnimating(false);
 };
 
+/** Opens a state in whichever view is showing: the map, or the text view in text mode. */
+const goToState = (stateId, options = {}) => {
+  if (isTextMode) textJourney.show(stateId, options);
+  else selectState(stateId, options);
+};
+
+/** Accessible name of a revealed state on the map: its track. */
+const getStateLabel = (stateId) => {
+  const track = trackById.get(trackByState.get(stateId));
+  if (!track) return null;
+  const { artist, title } = splitTrackTitle(track.title);
+  return artist ? t("map.a11y.state", { title, artist }) : title;
+};
+
+/** Hover feedback for a state focused from the keyboard; null clears it. */
+const previewState = (stateId) => {
+  if (app?.classList.contains("is-split")) return;
+  if (stateId && isStateRevealed(stateId)) {
+    mapApi?.highlightState(stateId);
+    showHoverSigil(stateId);
+  } else {
+    mapApi?.clearHover();
+    hideHoverSigil();
+  }
+  textureCanvas?.setHoveredState(stateId);
+};
+
 const init = async () => {
   // i18n: wire language toggle and apply static translations
   const langToggle = document.getElementById("lang-toggle");
@@ -339,11 +630,25 @@ const init = async () => {
   }
   applyStaticTranslations();
 
+  // Text view: a reload swaps between it and the map, like a language switch
+  if (textModeToggle) {
+    textModeToggle.setAttribute("aria-pressed", String(isTextMode));
+    textModeToggle.addEventListener("click", () => {
+      if (isTextMode) localStorage.removeItem(TEXT_MODE_STORAGE_KEY);
+      else localStorage.setItem(TEXT_MODE_STORAGE_KEY, "true");
+      location.reload();
+    });
+  }
+  if (isTextMode) {
+    document.body.classList.add("is-text-mode");
+    if (textJourneySection) textJourneySection.hidden = false;
+  }
+
   // Rotate overlay: block portrait on mobile until user rotates to landscape
   const rotateOverlay = document.getElementById("rotate-overlay");
   const isMobile = window.matchMedia("(pointer: coarse)").matches;
   const isPortrait = () => window.innerHeight > window.innerWidth;
-  if (rotateOverlay && isMobile && isPortrait()) {
+  if (rotateOverlay && isMobile && isPortrait() && !isTextMode) {
     rotateOverlay.setAttribute("aria-hidden", "false");
     await new Promise((resolve) => {
       const check = () => {
@@ -361,6 +666,7 @@ const init = async () => {
   const mobileWarning = document.getElementById("mobile-warning");
   if (
     mobileWarning &&
+    !isTextMode &&
     window.matchMedia("(pointer: coarse)").matches &&
     Math.min(screen.width, screen.height) <= 480 &&
     !sessionStorage.getItem("ataraxie-mobile-warned")
@@ -375,15 +681,22 @@ const init = async () => {
     mobileWarning.setAttribute("aria-hidden", "true");
   }
 
-  if (!dataUrl || !svg) return;
+  if (!svg) return;
   try {
     setLoading(true, t("loading.mapData"));
-    const resolvedTracksUrl = getTracksUrl(tracksUrl);
-    const [geojson, tracks, sigils] = await Promise.all([
-      loadGeoJSON(dataUrl),
-      resolvedTracksUrl ? loadTracks(resolvedTracksUrl) : Promise.resolve(null),
-      sigilsUrl ? loadSigils(sigilsUrl) : Promise.resolve(null),
+    const albumUrl = getAlbumUrl(getRequestedVolume());
+    applyAlbum(await loadAlbumManifest(albumUrl));
+    const tracksUrl = getTracksUrl(album.tracks);
+    const [geojson, tracks, sigils, rivers] = await Promise.all([
+      loadGeoJSON(album.geojson),
+      tracksUrl ? loadTracks(tracksUrl) : Promise.resolve(null),
+      album.sigils ? loadSigils(album.sigils) : Promise.resolve(null),
+      album.rivers ? loadRivers(album.rivers) : Promise.resolve(null),
     ]);
+    assertDataReferences(
+      { geojson, tracks, sigils },
+      { tracks: tracksUrl, sigils: album.sigils, album: albumUrl },
+    );
     geojsonData = geojson;
     stateCounts = new Map();
     geojson.features.forEach((feature) => {
@@ -393,12 +706,26 @@ const init = async () => {
     if (tracks) {
       trackByState = new Map(Object.entries(tracks.states || {}));
       trackById = new Map((tracks.tracks || []).map((item) => [item.id, item]));
+      offlineDownloader.refreshStatus().catch((err) => {
+        console.warn("[offline] Failed to check downloaded audio:", err.message);
+      });
     }
     if (sigils) {
       sigilsByState = resolveSigilMap(sigils);
     }
-    colorForState = createStateColor({ oceanColor: "#1b2212" });
-    mapApi = createMap({ svg, geojson, colorForState });
+    colorForState = createStateColor({
+      oceanColor: album.palette.ocean || "#1b2212",
+      palette: album.palette.states.length ? album.palette.states : undefined,
+    });
+    mapApi = createMap({
+      svg,
+      geojson,
+      colorForState,
+      rivers,
+      getStateLabel,
+      onFocusState: previewState,
+      onSelectState: (stateId) => selectState(stateId),
+    });
     transformAnimator = createTransformAnimator(mapApi.getSnapshotLayer(), {
       prefersReducedMotion,
     });
@@ -434,6 +761,7 @@ const init = async () => {
         container: mapPane,
         svg,
         stateOutlines,
+        landCells: mapApi.getLandCells(),
       });
       await textureCanvas.loadTextures();
 
@@ -444,8 +772,11 @@ const init = async () => {
       viewBoxObserver.observe(svg, { attributes: true, attributeFilter: ["viewBox"] });
     }
 
-    // Initialize fog of war system
+    // Initialize fog of war system, resuming a shared or saved journey if there is one
     buildStateNeighborMap(geojson);
+    restoreJourney();
+    restoreSeed();
+    loadListeningStats();
     if (mapApi?.applyFog) {
       mapApi.applyFog(revealedStates);
     }
@@ -454,12 +785,24 @@ const init = async () => {
     if (textureCanvas && initialVB) {
       textureCanvas.render(revealedStates, initialVB);
     }
+    if (textureCanvas) {
+      mapModeSwitcher = createMapModes({
+        container: mapModes,
+        select: mapModeSelect,
+        legend: mapLegend,
+        textureCanvas,
+        landCells: mapApi.getLandCells(),
+        getRevealedStates: () => revealedStates,
+      });
+      mapModeSwitcher.init();
+    }
+    playbackControls.init();
 
     renderTrails();
     renderSigilLayer();
     renderInfo(null);
 
-    if (mapApi.preloadSnapshots && shouldPreloadSnapshots) {
+    if (mapApi.preloadSnapshots && shouldPreloadSnapshots && !isTextMode) {
       setLoading(true, t("loading.stateViews", { current: 0, total: 0 }));
       await mapApi.preloadSnapshots({ onProgress: updateLoadingProgress });
     }
@@ -467,20 +810,29 @@ const init = async () => {
 
     // Character selection: check localStorage or prompt user
     const storedCharacter = localStorage.getItem(CHARACTER_STORAGE_KEY);
+    const initialState = new URLSearchParams(window.location.search).get("state");
     if (storedCharacter && CHARACTER_MOVE_MAP[storedCharacter]) {
       selectedCharacter = storedCharacter;
-    } else {
+    }
+    if (isTextMode) {
+      // The text view has no map character: resume where the journey stands
+      textJourney.init();
+      const stateId = isStateRevealed(initialState) ? initialState : explorationOrder.at(-1);
+      textJourney.show(stateId, { pushState: false });
+      return;
+    }
+    if (!selectedCharacter) {
       await charSelect.waitForSelection((char) => {
         selectedCharacter = char;
+        persistJourney();
       });
     }
 
     createMapCharacter(true);
 
-    const initialState = new URLSearchParams(window.location.search).get("state");
     if (initialState) {
       selectState(initialState, { pushState: false });
-    } else {
+    } else if (explorationOrder.length <= 1) {
       mapCharMgr.barkTimers.push(
         setTimeout(() => showMapCharacterBark(t("bark.where")), 2000),
         setTimeout(() => showMapCharacterBark(t("bark.discover")), 10000),
@@ -491,8 +843,16 @@ const init = async () => {
     renderInfo(null);
     setSplitLayout(true);
     setLoading(false);
-    if (infoContent) {
-      infoContent.innerHTML = `<h2 class="info-title">${t("error.title")}</h2><div class="info-body">${t("error.body")}</div>`;
+    if (infoContent || textJourneyState) {
+      const details =
+        error instanceof DataValidationError
+          ? `<p>${t("error.invalidData")}</p><ul class="info-error-list">${error.issues
+              .map((issue) => `<li><code>${escapeHtml(formatIssue(issue))}</code></li>`)
+              .join("")}</ul>`
+          : "";
+      const markup = `<h2 class="info-title">${t("error.title")}</h2><div class="info-body">${t("error.body")}${details}</div>`;
+      if (infoContent) infoContent.innerHTML = markup;
+      if (isTextMode && textJourneyState) textJourneyState.innerHTML = markup;
     }
   }
 };
@@ -564,7 +924,9 @@ window.addEventListener("resize", () => {
 
 window.addEventListener("popstate", () => {
   const stateId = new URLSearchParams(window.location.search).get("state");
-  if (stateId) {
+  if (isTextMode) {
+    if (stateId) textJourney.show(stateId, { pushState: false });
+  } else if (stateId) {
     selectState(stateId, { pushState: false });
   } else {
     clearSelection({ pushState: false });
@@ -581,6 +943,21 @@ aboutModal?.addEventListener("click", (event) => {
   }
 });
 
+/** Records the ending the journey reached and shows its text and art. */
+const showFinaleModal = () => {
+  const ending = unlockEnding();
+  persistJourney();
+  if (finaleText) finaleText.textContent = getEndingText(ending);
+  const image = getEndingImage(ending);
+  if (finaleArt) {
+    finaleArt.hidden = !image;
+    if (image) finaleArt.src = image;
+    else finaleArt.removeAttribute("src");
+  }
+  journeyRecap.render();
+  if (finaleModal) finaleModal.setAttribute("aria-hidden", "false");
+};
+
 const hideFinaleModal = () => {
   if (finaleModal) finaleModal.setAttribute("aria-hidden", "true");
 };
@@ -591,23 +968,107 @@ finaleModal?.addEventListener("click", (event) => {
   if (event.target === finaleModal) hideFinaleModal();
 });
 
+const isModalOpen = (modal) => modal?.getAttribute("aria-hidden") === "false";
+
 document.addEventListener("keydown", (event) => {
-  if (event.key === "Escape" && finaleModal?.getAttribute("aria-hidden") === "false") {
+  if (event.key !== "Escape") return;
+  if (keyboardHelp.isOpen) {
+    keyboardHelp.hide();
+  } else if (isModalOpen(finaleModal)) {
     hideFinaleModal();
-    return;
-  }
-  if (event.key === "Escape" && aboutModal?.getAttribute("aria-hidden") === "false") {
+  } else if (isModalOpen(aboutModal)) {
     hideAboutModal();
+  } else {
+    return;
   }
-  if (event.key === " " && app.classList.contains("is-split") && infoPanel.activeAudio) {
-    event.preventDefault();
-    if (infoPanel.hourglassPlayer) {
-      infoPanel.hourglassPlayer.togglePlay();
-    } else {
-      infoPanel.activeAudio.paused ? infoPanel.activeAudio.play() : infoPanel.activeAudio.pause();
-    }
+  event.preventDefault();
+});
+
+/** Steps through revealed states in discovery order; on the map, focuses instead of opening. */
+const cycleRevealedState = (step) => {
+  const order = explorationOrder;
+  const index = order.indexOf(activeStateId ?? mapApi?.getTabStopState());
+  const next =
+    index < 0
+      ? order[step > 0 ? 0 : order.length - 1]
+      : order[(index + step + order.length) % order.length];
+  if (!next) return false;
+  if (activeStateId) {
+    selectState(next);
+    return true;
   }
+  return Boolean(mapApi?.focusStateCell(next));
+};
+
+/** Runs `action` on the open state's hourglass; false when there is none. */
+const withHourglass = (action) => {
+  const player = infoPanel.hourglassPlayer;
+  if (!player) return false;
+  action(player);
+  return true;
+};
+
+const keyboardHelp = createKeyboardHelp({
+  modal: keyboardHelpModal,
+  list: keyboardHelpList,
+  closeButton: keyboardHelpClose,
+  resetButton: keyboardHelpReset,
+  status: keyboardHelpStatus,
+});
+keyboardHelp.init();
+keyboardHelpOpen?.addEventListener("click", () => {
+  hideAboutModal();
+  keyboardHelp.show();
+});
+
+const keyboard = createKeyboardControls({
+  isSuspended: (action) =>
+    (isTextMode && action !== "help") ||
+    isModalOpen(characterSelect) ||
+    (action !== "help" &&
+      [keyboardHelpModal, aboutModal, finaleModal].some((modal) => isModalOpen(modal))),
+  handlers: {
+    "map.next": () => cycleRevealedState(1),
+    "map.previous": () => cycleRevealedState(-1),
+    "state.enter": () => {
+      const stateId = mapApi?.getTabStopState();
+      if (activeStateId || !stateId || !isStateRevealed(stateId)) return false;
+      selectState(stateId);
+      return true;
+    },
+    "state.leave": () => {
+      const stateId = activeStateId;
+      if (!stateId) return false;
+      clearSelection();
+      mapApi?.focusStateCell(stateId);
+      return true;
+    },
+    "hourglass.play": () => {
+      if (!app.classList.contains("is-split") || !infoPanel.activeAudio) return false;
+      if (infoPanel.hourglassPlayer) {
+        infoPanel.hourglassPlayer.togglePlay();
+      } else {
+        infoPanel.activeAudio.paused ? infoPanel.activeAudio.play() : infoPanel.activeAudio.pause();
+      }
+      return true;
+    },
+    "hourglass.clockwise": () => withHourglass((player) => player.rotateBy(90)),
+    "hourglass.counterclockwise": () => withHourglass((player) => player.rotateBy(-90)),
+    "hourglass.boost": () => withHourglass((player) => player.boost()),
+    "hourglass.loopStart": () => withHourglass((player) => player.setLoopPoint("a")),
+    "hourglass.loopEnd": () => withHourglass((player) => player.setLoopPoint("b")),
+    "hourglass.loopClear": () => withHourglass((player) => player.clearLoop()),
+    "tarot.flip": () => questionMgr.flipNextCard(),
+    "tarot.confirm": () => questionMgr.confirmFlippedCard(),
+    help: () => {
+      if (keyboardHelp.isOpen) keyboardHelp.hide();
+      else keyboardHelp.show();
+      return true;
+    },
+  },
 });
+loadBindings();
+keyboard.init();
 
 aboutChangeCharacter?.addEventListener("click", () => {
   hideAboutModal();
@@ -616,6 +1077,8 @@ aboutChangeCharacter?.addEventListener("click", () => {
   selectedCharacter = null;
   charSelect.waitForSelection((char) => {
     selectedCharacter = char;
+    // The saved journey's character wins on boot, so it has to follow the new pick
+    persistJourney();
   }).then(() => createMapCharacter(true));
 });
 
@@ -0,0 +1,113 @@
+/**
+ * @module audio/audio-engine
+ * The app's single AudioContext and its routing graph. Track audio elements and reversed
+ * buffers all feed one master gain, then one analyser, then the speakers, so the visuals read
+ * whatever is audible in either direction. Each track goes through its own lowpass first,
+ * which `setTrackSpeed` closes as the track slows down.
+ *
+ * Reverse playback pauses the track's audio element, so it is reported here as well: elements
+ * get `reverseplay` / `reversepause` events, `isSounding` covers both directions and
+ * `getTrackTime` reads the position from whichever is playing.
+ */
+
+export const REVERSE_PLAY_EVENT = "reverseplay";
+export const REVERSE_PAUSE_EVENT = "reversepause";
+
+let context = null;
+let master = null;
+let analyser = null;
+const elementSources = new WeakMap(); // audio element -> MediaElementAudioSourceNode
+const trackFilters = new WeakMap(); // audio element -> lowpass BiquadFilterNode
+const reversed = new WeakMap(); // audio element playing in reverse -> its forward-time getter
+
+/**
+ * The shared context, created on first use and resumed if the browser suspended it.
+ * @returns {AudioContext|null} Null when Web Audio is unavailable
+ */
+export const getAudioContext = () => {
+  if (!context) {
+    const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextCtor) return null;
+    context = new AudioContextCtor();
+    master = context.createGain();
+    analyser = context.createAnalyser();
+    analyser.fftSize = 256;
+    master.connect(analyser);
+    analyser.connect(context.destination);
+  }
+  if (context.state === "suspended") context.resume().catch(() => {});
+  return context;
+};
+
+export const getAnalyser = () => (getAudioContext() ? analyser : null);
+
+/** Lowpass cutoff range (Hz) from a stopped to a full-speed track. */
+const MIN_CUTOFF = 250;
+const MAX_CUTOFF = 20000;
+
+/** Cutoff for a playback speed: wide open from normal speed up, closing as it slows. */
+const getCutoff = (speed) =>
+  MIN_CUTOFF * Math.pow(MAX_CUTOFF / MIN_CUTOFF, Math.sqrt(Math.min(1, Math.abs(speed))));
+
+/**
+ * Where a track enters the graph, forward or reversed: its lowpass, ahead of the master gain.
+ * @param {HTMLAudioElement} audio
+ * @returns {BiquadFilterNode|null} Null when Web Audio is unavailable
+ */
+export const getTrackInput = (audio) => {
+  if (!getAudioContext()) return null;
+  if (!trackFilters.has(audio)) {
+    const filter = context.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = MAX_CUTOFF;
+    filter.Q.value = 0.5;
+    filter.connect(master);
+    trackFilters.set(audio, filter);
+  }
+  return trackFilters.get(audio);
+};
+
+/**
+ * Muffles a track as it slows down, like a record held under the hand.
+ * @param {HTMLAudioElement} audio
+ * @param {number} speed - Playback speed, negative in reverse
+ */
+export const setTrackSpeed = (audio, speed) => {
+  const filter = trackFilters.get(audio);
+  if (!filter) return;
+  const cutoff = getCutoff(speed);
+  if (Math.abs(cutoff - filter.frequency.value) < filter.frequency.value * 0.01) return;
+  filter.frequency.setTargetAtTime(cutoff, context.currentTime, 0.02);
+};
+
+/**
+ * Routes an audio element through the graph. An element can only be captured once, and from
+ * then on is heard only through the context, so this is done when it starts playing.
+ * @param {HTMLAudioElement} audio
+ */
+export const connectMediaElement = (audio) => {
+  if (!audio || elementSources.has(audio) || !getAudioContext()) return;
+  const source = context.createMediaElementSource(audio);
+  source.connect(getTrackInput(audio));
+  elementSources.set(audio, source);
+};
+
+/**
+ * Records that an element's track started or stopped playing in reverse.
+ * @param {HTMLAudioElement} audio
+ * @param {boolean} isReversed
+ * @param {function(): number} [getForwardTime] - Position in the track while reversed
+ */
+export const setReversed = (audio, isReversed, getForwardTime) => {
+  if (reversed.has(audio) === isReversed) return;
+  if (isReversed) reversed.set(audio, getForwardTime ?? (() => audio.currentTime || 0));
+  else reversed.delete(audio);
+  audio.dispatchEvent(new Event(isReversed ? REVERSE_PLAY_EVENT : REVERSE_PAUSE_EVENT));
+};
+
+/** Position in an element's track in seconds, forward or reversed. */
+export const getTrackTime = (audio) =>
+  reversed.has(audio) ? reversed.get(audio)() : audio.currentTime || 0;
+
+/** Whether an element's track is audible, forward or in reverse. */
+export const isSounding = (audio) => Boolean(audio) && (!audio.paused || reversed.has(audio));
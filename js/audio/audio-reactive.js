@@ -1,9 +1,13 @@
 /**
  * @module audio/audio-reactive
- * Web Audio analyser, FFT-driven map/3D visuals, and ambient terrain breathing.
+ * FFT-driven map/3D visuals from the shared analyser (`audio/audio-engine`), and ambient
+ * terrain breathing. Tracks with a beat grid (`audio/beat-grid`) also pulse the map's glow on
+ * the beat.
  */
 
 import { fbmNoise2D, valueNoise2D } from "../core/utils.js";
+import { connectMediaElement, getAnalyser, getAudioContext } from "./audio-engine.js";
+import { getBeat } from "./beat-grid.js";
 
 const computeBreathingHeight = (cell, time, baseHeight, maxHeight) => {
   const breath = fbmNoise2D(cell.x * 0.8 + time * 0.12, cell.y * 0.8 + time * 0.09, 2);
@@ -34,12 +38,9 @@ const computeAudioResponse = (cell, data, maxBin) => {
 };
 
 export const createAudioReactive = ({ getSvg, getMapPane, getThreeApi }) => {
-  let audioContext = null;
   let audioAnalyser = null;
   let audioData = null;
   let audioAnimationFrame = null;
-  let audioSource = null;
-  let audioElement = null;
   let audioTime = 0;
   let ambientAnimationFrame = null;
   let ambientTime = 0;
@@ -144,32 +145,13 @@ export const createAudioReactive = ({ getSvg, getMapPane, getThreeApi }) => {
     ambientAnimationFrame = null;
   };
 
+  /** Routes `audio` through the shared graph; every connected track feeds the analyser. */
   const connectAnalyser = (audio) => {
     if (!audio) return;
-    if (!audioContext) {
-      const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
-      if (!AudioContextCtor) return;
-      audioContext = new AudioContextCtor();
-    }
+    connectMediaElement(audio);
     if (!audioAnalyser) {
-      audioAnalyser = audioContext.createAnalyser();
-      audioAnalyser.fftSize = 256;
-      audioData = new Uint8Array(audioAnalyser.frequencyBinCount);
-    }
-    if (audioElement !== audio) {
-      if (audioSource) audioSource.disconnect();
-      if (audio._audioSource) {
-        audioSource = audio._audioSource;
-      } else {
-        audioSource = audioContext.createMediaElementSource(audio);
-        audio._audioSource = audioSource;
-      }
-      audioSource.connect(audioAnalyser);
-      audioAnalyser.connect(audioContext.destination);
-      audioElement = audio;
-    }
-    if (audioContext.state === "suspended") {
-      audioContext.resume().catch(() => {});
+      audioAnalyser = getAnalyser();
+      if (audioAnalyser) audioData = new Uint8Array(audioAnalyser.frequencyBinCount);
     }
   };
 
@@ -203,8 +185,11 @@ export const createAudioReactive = ({ getSvg, getMapPane, getThreeApi }) => {
       const low = lowSum / (lowEnd * 255);
       const high = highSum / ((totalBins - highStart) * 255);
       const intensity = Math.min(1, (low + high) / 2);
+      // Peaks on each beat and fades through it; in reverse it swells into the beat instead
+      const beat = getBeat(audio);
+      const pulse = beat ? Math.pow(1 - beat.phase, 3) : 0;
       const stroke = 0.6 + intensity * 1.8;
-      const glow = intensity * 10;
+      const glow = intensity * 10 + pulse * 4;
       const opacity = 0.45 + intensity * 0.5;
 
       const mapPane = getMapPane();
@@ -294,7 +279,7 @@ export const createAudioReactive = ({ getSvg, getMapPane, getThreeApi }) => {
     resetVisuals,
     resetMeshPulse,
     get context() {
-      return audioContext;
+      return audioAnalyser ? getAudioContext() : null;
     },
     get analyser() {
       return audioAnalyser;
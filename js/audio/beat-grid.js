@@ -0,0 +1,254 @@
+/**
+ * @module audio/beat-grid
+ * Tempo and first downbeat per track, estimated from the decoded audio, and a beat clock for
+ * the character dancer, the audio-reactive glow and hourglass loop snapping.
+ *
+ * Analysis renders the track's low end through an OfflineAudioContext, builds an onset
+ * envelope, picks the tempo by autocorrelation (leaning towards the hand-entered `bpm` of
+ * tracks.json) and then the beat phase and the beat that starts the bar. Grids are cached in
+ * localStorage per track, so each track is analysed once.
+ *
+ * The clock reads the track position from `audio/audio-engine`, so it stays on the grid when
+ * the track is reversed or sped up: beats run backwards or faster along with the audio.
+ */
+
+import { BEAT_GRID_STORAGE_KEY } from "../core/constants.js";
+import { getTrackTime } from "./audio-engine.js";
+import { createTrackCache } from "./hourglass/track-cache.js";
+
+const ANALYSIS_RATE = 11025;
+const FRAME_SECONDS = 128 / ANALYSIS_RATE; // about 11.6 ms per envelope frame
+const LOW_BAND_CUTOFF = 150; // Hz: kicks and bass carry the beat
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+const DEFAULT_CENTER_BPM = 120;
+const BEATS_PER_BAR = 4;
+
+/** Fired on the audio element once analysis produces its grid (cached grids need none). */
+export const BEAT_GRID_EVENT = "beatgrid";
+
+const cache = createTrackCache(BEAT_GRID_STORAGE_KEY);
+const grids = new WeakMap(); // audio element -> grid
+const hints = new WeakMap(); // audio element -> hand-entered BPM
+const analyses = new WeakMap(); // audio element -> pending analysis
+
+/** The low band as mono samples, with their sample rate. */
+const renderLowBand = async (buffer) => {
+  const OfflineCtor = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineCtor) {
+    // No offline rendering: unfiltered mono mix at the track's own rate
+    const data = new Float32Array(buffer.length);
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+      const channel = buffer.getChannelData(ch);
+      for (let i = 0; i < data.length; i++) data[i] += channel[i] / buffer.numberOfChannels;
+    }
+    return { data, rate: buffer.sampleRate };
+  }
+  const ctx = new OfflineCtor(1, Math.ceil(buffer.duration * ANALYSIS_RATE), ANALYSIS_RATE);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  const filter = ctx.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.value = LOW_BAND_CUTOFF;
+  source.connect(filter);
+  filter.connect(ctx.destination);
+  source.start();
+  const rendered = await ctx.startRendering();
+  return { data: rendered.getChannelData(0), rate: ANALYSIS_RATE };
+};
+
+/**
+ * Onset strength per frame: the rise in log energy, above its local average.
+ * @returns {{energy: Float32Array, onsets: Float32Array, fps: number}}
+ */
+const getOnsetEnvelope = ({ data, rate }) => {
+  const hop = Math.max(1, Math.round(rate * FRAME_SECONDS));
+  const count = Math.floor(data.length / hop);
+  const energy = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    for (let j = i * hop; j < (i + 1) * hop; j++) sum += data[j] * data[j];
+    energy[i] = Math.log1p(1000 * (sum / hop));
+  }
+  const flux = new Float32Array(count);
+  for (let i = 1; i < count; i++) flux[i] = Math.max(0, energy[i] - energy[i - 1]);
+
+  // Remove the local average (about half a second) so loud passages do not dominate
+  const fps = rate / hop;
+  const radius = Math.round(fps / 4);
+  const onsets = new Float32Array(count);
+  let windowSum = 0;
+  for (let i = 0; i < Math.min(count, radius); i++) windowSum += flux[i];
+  for (let i = 0; i < count; i++) {
+    if (i + radius < count) windowSum += flux[i + radius];
+    if (i - radius - 1 >= 0) windowSum -= flux[i - radius - 1];
+    const width = Math.min(count - 1, i + radius) - Math.max(0, i - radius) + 1;
+    onsets[i] = Math.max(0, flux[i] - windowSum / width);
+  }
+  return { energy, onsets, fps };
+};
+
+/** Beat period in frames, by autocorrelation weighted towards `centerBpm`. */
+const findPeriod = (onsets, fps, centerBpm, sharpness) => {
+  const minLag = Math.floor((60 * fps) / MAX_BPM);
+  const maxLag = Math.ceil((60 * fps) / MIN_BPM);
+  const scores = new Float32Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < onsets.length; i++) sum += onsets[i] * onsets[i + lag];
+    scores[lag] = sum;
+  }
+  let best = -1;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const octaves = Math.log2((60 * fps) / lag / centerBpm);
+    const score = scores[lag] * Math.exp(-0.5 * Math.pow(octaves / sharpness, 2));
+    if (score > bestScore) {
+      bestScore = score;
+      best = lag;
+    }
+  }
+  if (best < 0 || !scores[best]) return null;
+  // Parabolic interpolation between neighbouring lags for a fractional period
+  const [a, b, c] = [scores[best - 1], scores[best], scores[best + 1]];
+  const denominator = a - 2 * b + c;
+  return denominator < 0 ? best + (0.5 * (a - c)) / denominator : best;
+};
+
+/** Sum of `values` at every `step` frames from `start`. */
+const sumAlong = (values, start, step) => {
+  let sum = 0;
+  for (let i = start; i < values.length; i += step) sum += values[Math.round(i)] ?? 0;
+  return sum;
+};
+
+/**
+ * Fine period and beat phase together: the grid, within 2% of `period`, whose beats line up
+ * best with the onsets over the whole track. A small tempo error would drift by seconds.
+ * @returns {{period: number, phase: number}} In frames
+ */
+const fitGrid = (onsets, period) => {
+  let best = { period, phase: 0 };
+  let bestScore = -Infinity;
+  for (let candidate = period * 0.98; candidate <= period * 1.02; candidate += 0.02) {
+    for (let start = 0; start < candidate; start++) {
+      const score = sumAlong(onsets, start, candidate);
+      if (score > bestScore) {
+        bestScore = score;
+        best = { period: candidate, phase: start };
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Estimates tempo and the first downbeat of a decoded track.
+ * @param {AudioBuffer} buffer
+ * @param {Object} [options]
+ * @param {number} [options.bpmHint] - Hand-entered tempo; the estimate stays near it
+ * @returns {Promise<{bpm: number, offset: number, beatsPerBar: number}|null>} `offset` is the
+ *   first downbeat in seconds; null when no steady beat was found
+ */
+export const analyzeBeatGrid = async (buffer, { bpmHint } = {}) => {
+  const { energy, onsets, fps } = getOnsetEnvelope(await renderLowBand(buffer));
+  const hasHint = bpmHint > 0;
+  const estimate = findPeriod(
+    onsets,
+    fps,
+    hasHint ? bpmHint : DEFAULT_CENTER_BPM,
+    hasHint ? 0.3 : 1,
+  );
+  if (!estimate) return null;
+  const { period, phase } = fitGrid(onsets, estimate);
+
+  // Downbeat: the beat of the bar with the most low-end energy
+  let downbeat = 0;
+  let downbeatScore = -Infinity;
+  for (let beat = 0; beat < BEATS_PER_BAR; beat++) {
+    const score = sumAlong(energy, phase + beat * period, period * BEATS_PER_BAR);
+    if (score > downbeatScore) {
+      downbeatScore = score;
+      downbeat = beat;
+    }
+  }
+
+  return {
+    bpm: Math.round(((60 * fps) / period) * 100) / 100,
+    offset: Math.round(((phase + downbeat * period) / fps) * 1000) / 1000,
+    beatsPerBar: BEATS_PER_BAR,
+  };
+};
+
+const isGrid = (grid) =>
+  Boolean(grid) && grid.bpm > 0 && Number.isFinite(grid.offset) && grid.beatsPerBar > 0;
+
+const getSrc = (audio) => audio.currentSrc || audio.src;
+
+/**
+ * Registers a track's audio: its cached grid if any, and the hand-entered BPM for analysis.
+ * @param {HTMLAudioElement} audio
+ * @param {number} [bpmHint]
+ */
+export const initTrackBeats = (audio, bpmHint) => {
+  if (bpmHint > 0) hints.set(audio, bpmHint);
+  if (grids.has(audio)) return;
+  const cached = cache.get(getSrc(audio));
+  if (isGrid(cached)) grids.set(audio, cached);
+};
+
+/**
+ * Analyses a track from its decoded audio, once; cached grids are reused. The buffer's data is
+ * taken before this returns, so the caller may hand its channels elsewhere afterwards.
+ * @param {HTMLAudioElement} audio
+ * @param {AudioBuffer} buffer
+ * @returns {Promise<Object|null>}
+ */
+export const analyzeTrackBeats = (audio, buffer) => {
+  initTrackBeats(audio);
+  if (grids.has(audio)) return Promise.resolve(grids.get(audio));
+  if (analyses.has(audio)) return analyses.get(audio);
+  const analysis = analyzeBeatGrid(buffer, { bpmHint: hints.get(audio) })
+    .then((grid) => {
+      if (!grid) return null;
+      grids.set(audio, grid);
+      cache.set(getSrc(audio), grid);
+      audio.dispatchEvent(new Event(BEAT_GRID_EVENT));
+      return grid;
+    })
+    .catch((err) => {
+      console.warn("[beat-grid] Analysis failed:", err.message);
+      return null;
+    });
+  analyses.set(audio, analysis);
+  return analysis;
+};
+
+export const getBeatGrid = (audio) => grids.get(audio) ?? null;
+
+/**
+ * Where an element's track is on its grid right now.
+ * @param {HTMLAudioElement} audio
+ * @returns {{position: number, phase: number, beatInBar: number, bpm: number}|null}
+ *   `position` counts beats from the first downbeat, `phase` runs 0-1 within the beat; null
+ *   without a grid
+ */
+export const getBeat = (audio) => {
+  const grid = grids.get(audio);
+  if (!grid) return null;
+  const position = ((getTrackTime(audio) - grid.offset) * grid.bpm) / 60;
+  const beat = Math.floor(position);
+  return {
+    position,
+    phase: position - beat,
+    beatInBar: ((beat % grid.beatsPerBar) + grid.beatsPerBar) % grid.beatsPerBar,
+    bpm: grid.bpm,
+  };
+};
+
+/** Nearest beat to `time` (seconds) on a grid, or `time` itself without one. */
+export const snapToBeat = (grid, time) => {
+  if (!grid) return time;
+  const beat = 60 / grid.bpm;
+  return Math.max(0, grid.offset + Math.round((time - grid.offset) / beat) * beat);
+};
@@ -1,68 +1,300 @@
 /**
  * @module audio/hourglass/hourglass-audio
  * Reverse playback via Web Audio API.
+ *
+ * The track is fetched once and decoded by the browser's own decoder, off the main thread.
+ * A Worker then reverses it chunk by chunk, starting where reverse playback will play first,
+ * so playback can begin near the current position before the whole buffer is ready.
+ * An A–B loop set with `setLoop` repeats in reverse too, using the source node's own looping.
+ * Reversed audio goes through the shared graph (`audio/audio-engine`) at the element's volume.
  */
 
+import { getAudioContext, getTrackInput, setReversed } from "../audio-engine.js";
+import { MAX_PLAYBACK_RATE, MIN_PLAYBACK_RATE } from "./hourglass-constants.js";
+import {
+  CHUNK_SIZE,
+  getChunkCount,
+  getChunkIndex,
+  getChunkOrder,
+  reverseChunk,
+} from "./reverse-chunks.js";
+
+const clampRate = (speed) =>
+  Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, Math.abs(speed)));
+
+/** Reads a response body, reporting progress when the size is known. */
+const readWithProgress = async (resp, onProgress) => {
+  const total = Number(resp.headers.get("content-length")) || 0;
+  if (!resp.body || !total) return resp.arrayBuffer();
+  const reader = resp.body.getReader();
+  const parts = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+    received += value.length;
+    onProgress(Math.min(1, received / total));
+  }
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes.buffer;
+};
+
 /**
  * Factory for reverse audio playback.
  * @param {HTMLAudioElement} audio - The audio element to reverse
+ * @param {Object} [options]
+ * @param {function({phase: string, progress: number}): void} [options.onProgress] - Preparation
+ *   progress: `phase` is "loading", "decoding", "reversing", "ready" or "failed"; `progress`
+ *   runs from 0 to 1 within a phase
+ * @param {function(AudioBuffer, string): void} [options.onDecoded] - The forward track and its
+ *   source, once decoded. Read the buffer during the call: its channels are then handed to the
+ *   reverse worker, which leaves it empty
  */
-export const createReverseAudio = (audio) => {
+export const createReverseAudio = (audio, { onProgress, onDecoded } = {}) => {
   let audioCtx = null;
   let reversedBuffer = null;
+  let filled = null; // reversed chunk index -> 1 once copied into the buffer
+  let filledCount = 0;
+  let complete = false;
+  let preparing = null;
+  let disposed = false;
+  let worker = null;
+  let cancelWorker = null;
+  let workerHasChannels = false; // the decoded channels were transferred to the worker
+  let fallbackPending = null; // chunk order left for the main-thread fallback
+  let priorityChunk = -1;
   let reverseSource = null;
   let reverseStartCtxTime = 0;
   let reverseStartOffset = 0;
+  let reverseSpeed = 1;
   let isPlayingReversed = false;
+  let loop = null; // { start, end } in forward seconds
+  let sourceLoop = null; // { loopStart, loopEnd } in reversed seconds, while the source loops
+  let reverseGain = null; // mirrors the element's volume, so crossfades apply in reverse too
+
+  const report = (phase, progress) => onProgress?.({ phase, progress });
 
   const ensureContext = () => {
-    if (!audioCtx) {
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    if (audioCtx.state === "suspended") audioCtx.resume();
+    audioCtx = getAudioContext();
+    if (!audioCtx) throw new Error("Web Audio unavailable");
     return audioCtx;
   };
 
-  /** Fetch + decode audio, then reverse the buffer data. */
-  const prepare = async () => {
-    if (reversedBuffer) return;
-    const src = audio.currentSrc || audio.src;
-    if (!src) return;
+  const syncVolume = () => {
+    if (reverseGain) reverseGain.gain.value = audio.muted ? 0 : audio.volume;
+  };
+
+  const getGain = (ctx) => {
+    if (!reverseGain) {
+      reverseGain = ctx.createGain();
+      reverseGain.connect(getTrackInput(audio));
+      syncVolume();
+      audio.addEventListener("volumechange", syncVolume);
+    }
+    return reverseGain;
+  };
+
+  const toSample = (forwardTime) => Math.round(forwardTime * reversedBuffer.sampleRate);
+
+  /** Whether reverse playback from `forwardTime` runs into the loop (it starts after A). */
+  const isHeadingIntoLoop = (forwardTime) => Boolean(loop) && forwardTime > loop.start;
+
+  /**
+   * Forward range reverse playback from `forwardTime` needs before it can start: the next chunk
+   * or so, or everything down to A when it will loop back to B.
+   */
+  const getNeededRange = (forwardTime) =>
+    isHeadingIntoLoop(forwardTime)
+      ? [loop.start, Math.max(forwardTime, loop.end)]
+      : [forwardTime, forwardTime];
+
+  const isRangeFilled = ([from, to]) => {
+    const first = getChunkIndex(reversedBuffer.length, toSample(to));
+    const last = Math.min(
+      filled.length - 1,
+      getChunkIndex(reversedBuffer.length, toSample(from)) + 1,
+    );
+    for (let i = first; i <= last; i++) if (!filled[i]) return false;
+    return true;
+  };
+
+  /** Loops the playing source between B and A when playback at `offset` is heading there. */
+  const applySourceLoop = (offset) => {
+    const duration = reversedBuffer.duration;
+    sourceLoop = isHeadingIntoLoop(duration - offset)
+      ? { loopStart: Math.max(0, duration - loop.end), loopEnd: duration - loop.start }
+      : null;
+    reverseSource.loop = Boolean(sourceLoop);
+    if (sourceLoop) {
+      reverseSource.loopStart = sourceLoop.loopStart;
+      reverseSource.loopEnd = sourceLoop.loopEnd;
+    }
+  };
+
+  const fillChunk = (index, channels) => {
+    if (!reversedBuffer || filled[index]) return;
+    channels.forEach((data, ch) => reversedBuffer.copyToChannel(data, ch, index * CHUNK_SIZE));
+    filled[index] = 1;
+    filledCount += 1;
+    report("reversing", filledCount / filled.length);
+  };
+
+  /** Moves the chunks reverse playback from `forwardTime` needs to the front of the queue. */
+  const prioritize = (forwardTime) => {
+    if (!reversedBuffer || complete) return;
+    const from = toSample(forwardTime);
+    const index = getChunkIndex(reversedBuffer.length, from);
+    if (index === priorityChunk) return;
+    priorityChunk = index;
+    if (worker) worker.postMessage({ from });
+    if (fallbackPending) {
+      fallbackPending = getChunkOrder(reversedBuffer.length, from).filter((i) => !filled[i]);
+    }
+  };
+
+  const reverseInWorker = (original, from) =>
+    new Promise((resolve, reject) => {
+      cancelWorker = () => reject(new Error("disposed"));
+      worker = new Worker(new URL("./reverse-worker.js", import.meta.url), { type: "module" });
+      worker.addEventListener("message", ({ data }) => {
+        if (data.done) resolve();
+        else fillChunk(data.index, data.channels);
+      });
+      worker.addEventListener("error", (event) => {
+        event.preventDefault?.();
+        reject(new Error(event.message || "worker failed"));
+      });
+      // Transferred, not copied: a decoded track is tens of megabytes per channel
+      const channels = Array.from({ length: original.numberOfChannels }, (_, ch) =>
+        original.getChannelData(ch),
+      );
+      worker.postMessage(
+        { channels, from },
+        channels.map((data) => data.buffer),
+      );
+      workerHasChannels = true;
+    }).finally(() => {
+      worker?.terminate();
+      worker = null;
+      cancelWorker = null;
+    });
+
+  /** Same job without a Worker: one chunk per task, so the page stays responsive. */
+  const reverseOnMainThread = async (original, from) => {
+    const channels = Array.from({ length: original.numberOfChannels }, (_, ch) =>
+      original.getChannelData(ch),
+    );
+    fallbackPending = getChunkOrder(original.length, from).filter((i) => !filled[i]);
+    while (fallbackPending.length && !disposed) {
+      const index = fallbackPending.shift();
+      fillChunk(
+        index,
+        channels.map((source) => reverseChunk(source, index)),
+      );
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    fallbackPending = null;
+  };
+
+  /** The forward track, decoded; null when disposed meanwhile. */
+  const fetchAndDecode = async (src, { onLoaded, onLoadProgress = () => {} } = {}) => {
+    const resp = await fetch(src);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const data = await readWithProgress(resp, onLoadProgress);
+    if (disposed) return null;
+    onLoaded?.();
+    const decoded = await ensureContext().decodeAudioData(data);
+    return disposed ? null : decoded;
+  };
+
+  const load = async (src) => {
     try {
+      report("loading", 0);
+      const original = await fetchAndDecode(src, {
+        onLoadProgress: (progress) => report("loading", progress),
+        onLoaded: () => report("decoding", 0),
+      });
+      if (!original) return;
       const ctx = ensureContext();
-      const resp = await fetch(src);
-      const buf = await resp.arrayBuffer();
-      const original = await ctx.decodeAudioData(buf);
+      onDecoded?.(original, src);
+
       reversedBuffer = ctx.createBuffer(
         original.numberOfChannels,
         original.length,
         original.sampleRate,
       );
-      for (let ch = 0; ch < original.numberOfChannels; ch++) {
-        const fwd = original.getChannelData(ch);
-        const rev = reversedBuffer.getChannelData(ch);
-        for (let i = 0, len = fwd.length; i < len; i++) {
-          rev[i] = fwd[len - 1 - i];
-        }
+      filled = new Uint8Array(getChunkCount(original.length));
+      const from = toSample(audio.currentTime || 0);
+      priorityChunk = getChunkIndex(original.length, from);
+      report("reversing", 0);
+      try {
+        await reverseInWorker(original, from);
+      } catch (err) {
+        if (disposed) return;
+        console.warn("[hourglass] Reversing on the main thread:", err.message);
+        // The worker took the decoded channels with it: decode again (usually from the HTTP
+        // cache) for the chunks it did not send back
+        const forward = workerHasChannels ? await fetchAndDecode(src) : original;
+        if (!forward) return;
+        await reverseOnMainThread(forward, from);
       }
+      if (disposed) return;
+
+      complete = true;
+      report("ready", 1);
+      // A source only plays the chunks that were in when it started
+      if (isPlayingReversed) start(getForwardTime(), reverseSpeed);
     } catch (_) {
       // Reverse audio unavailable — silent fallback
+      reversedBuffer = null;
+      report("failed", 0);
     }
   };
 
+  /**
+   * Fetch, decode and reverse the track; resolves once the whole buffer is ready. Reverse
+   * playback can start earlier, see `canStartAt`.
+   */
+  const prepare = () => {
+    if (preparing) return preparing;
+    const src = audio.currentSrc || audio.src;
+    if (!src) return Promise.resolve();
+    preparing = load(src);
+    return preparing;
+  };
+
+  /** Whether the reversed audio right after `forwardTime` (and the loop, if any) can play. */
+  const canStartAt = (forwardTime) => {
+    if (!reversedBuffer) return false;
+    return complete || isRangeFilled(getNeededRange(forwardTime));
+  };
+
+  /** Starts reverse playback, or queues that part of the track first when it is not ready. */
   const start = (forwardTime, speed) => {
-    if (!reversedBuffer) return;
+    if (!canStartAt(forwardTime)) {
+      prioritize(getNeededRange(forwardTime)[1]);
+      return;
+    }
     stop();
     const ctx = ensureContext();
     const offset = Math.max(0, reversedBuffer.duration - forwardTime);
+    reverseSpeed = clampRate(speed);
     reverseSource = ctx.createBufferSource();
     reverseSource.buffer = reversedBuffer;
-    reverseSource.playbackRate.value = Math.min(4, Math.max(0.25, Math.abs(speed)));
-    reverseSource.connect(ctx.destination);
+    reverseSource.playbackRate.value = reverseSpeed;
+    applySourceLoop(offset);
+    reverseSource.connect(getGain(ctx));
     reverseSource.start(0, offset);
     reverseStartCtxTime = ctx.currentTime;
     reverseStartOffset = offset;
     isPlayingReversed = true;
+    setReversed(audio, true, getForwardTime);
   };
 
   const stop = () => {
@@ -73,45 +305,76 @@ export const createReverseAudio = (audio) => {
       reverseSource.disconnect();
       reverseSource = null;
     }
+    if (isPlayingReversed) setReversed(audio, false);
     isPlayingReversed = false;
+    sourceLoop = null;
   };
 
   /** Map current position in reversed buffer back to forward time. */
   const getForwardTime = () => {
     if (!isPlayingReversed || !audioCtx || !reversedBuffer) return audio.currentTime || 0;
     const elapsed = audioCtx.currentTime - reverseStartCtxTime;
-    const rate = reverseSource ? reverseSource.playbackRate.value : 1;
-    const pos = reverseStartOffset + elapsed * rate;
+    let pos = reverseStartOffset + elapsed * reverseSpeed;
+    if (sourceLoop && pos > sourceLoop.loopEnd) {
+      const length = sourceLoop.loopEnd - sourceLoop.loopStart;
+      pos = sourceLoop.loopStart + ((pos - sourceLoop.loopStart) % length);
+    }
     return Math.max(0, reversedBuffer.duration - pos);
   };
 
+  /** Rebase the clock on the current position, so getForwardTime stays right across changes. */
+  const rebaseClock = () => {
+    reverseStartOffset = reversedBuffer.duration - getForwardTime();
+    reverseStartCtxTime = audioCtx.currentTime;
+  };
+
   const setSpeed = (speed) => {
-    if (isPlayingReversed && reverseSource) {
-      reverseSource.playbackRate.value = Math.min(4, Math.max(0.25, Math.abs(speed)));
-    }
+    if (!isPlayingReversed || !reverseSource) return;
+    const rate = clampRate(speed);
+    if (rate === reverseSpeed) return;
+    rebaseClock();
+    reverseSpeed = rate;
+    reverseSource.playbackRate.value = rate;
+  };
+
+  /**
+   * Loops reverse playback between forward times A and B: once it reaches A it jumps back to B.
+   * @param {{start: number, end: number}|null} next - Seconds; null ends the loop
+   */
+  const setLoop = (next) => {
+    loop = next && next.end > next.start ? { start: next.start, end: next.end } : null;
+    if (!isPlayingReversed || !reverseSource) return;
+    rebaseClock();
+    applySourceLoop(reverseStartOffset);
   };
 
   const dispose = () => {
+    disposed = true;
     stop();
-    if (audioCtx) {
-      audioCtx.close().catch(() => {});
-      audioCtx = null;
-    }
+    cancelWorker?.();
+    fallbackPending = null;
+    audio.removeEventListener("volumechange", syncVolume);
+    reverseGain?.disconnect();
+    reverseGain = null;
+    audioCtx = null;
     reversedBuffer = null;
   };
 
   return {
     prepare,
+    canStartAt,
     start,
     stop,
     getForwardTime,
     setSpeed,
+    setLoop,
     dispose,
     get isReversed() {
       return isPlayingReversed;
     },
+    /** The whole reversed buffer is ready. */
     get hasBuffer() {
-      return !!reversedBuffer;
+      return complete;
     },
   };
 };
@@ -10,6 +10,10 @@ export const CENTER_Y = HEIGHT / 2;
 export const GAP = 4;
 export const PARTICLE_COLOR = { r: 189, g: 255, b: 0 };
 
+// Playback rate range; the low end lets a tape stop slide down audibly before it halts
+export const MIN_PLAYBACK_RATE = 0.0625;
+export const MAX_PLAYBACK_RATE = 4;
+
 // Triangle vertices
 export const TOP_APEX_Y = CENTER_Y - GAP / 2;
 export const TOP_BASE_Y = 10;
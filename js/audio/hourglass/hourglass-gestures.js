@@ -6,6 +6,9 @@
 // Snap-on-release threshold: degrees from detent to trigger snap
 const SNAP_RELEASE_THRESHOLD = 20;
 
+// Tape stop / spin-up: seconds for the speed to slide from full (1) to a stop, or back
+const TAPE_RAMP_TIME = 0.4;
+
 // Shake detection
 const SHAKE_WINDOW = 500; // ms to detect shake pattern
 const SHAKE_MIN_CHANGES = 2; // Min direction reversals needed
@@ -72,6 +75,26 @@ export const computePlaybackSpeed = (rotationAngle, isShaking) => {
   return isShaking ? baseSpeed * 2 : baseSpeed;
 };
 
+/**
+ * Turntable inertia for the playback speed: it slides towards the rotation's speed instead of
+ * jumping, so crossing a pause detent winds down to a stop and back up on the other side.
+ */
+export const createSpeedRamp = (initial = 1) => {
+  let speed = initial;
+  return {
+    /** Moves the speed towards `target` for a frame of `dt` seconds and returns it. */
+    step(target, dt) {
+      const maxDelta = dt / TAPE_RAMP_TIME;
+      speed += Math.max(-maxDelta, Math.min(maxDelta, target - speed));
+      return speed;
+    },
+    /** Jumps straight to `value`, e.g. to a stop on an explicit pause. */
+    set(value) {
+      speed = value;
+    },
+  };
+};
+
 /**
  * Factory for shake gesture detection.
  * @param {HTMLElement} wrapper - Element receiving visual feedback
@@ -124,6 +147,8 @@ export const createShakeDetector = (wrapper) => {
   return {
     detect,
     resetDirection,
+    /** x2 boost without a gesture, e.g. from the keyboard. */
+    boost: triggerBoost,
     dispose,
     get isShaking() {
       return isShaking;
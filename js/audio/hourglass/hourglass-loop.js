@@ -0,0 +1,47 @@
+/**
+ * @module audio/hourglass/hourglass-loop
+ * A–B loop points, saved per track so a loop is still set on the next visit.
+ */
+
+import { LOOPS_STORAGE_KEY } from "../../core/constants.js";
+import { createTrackCache } from "./track-cache.js";
+
+/** Shortest loop, in seconds; a point set closer than this to the other one replaces it. */
+export const MIN_LOOP = 0.25;
+
+const cache = createTrackCache(LOOPS_STORAGE_KEY);
+
+const toPoint = (value) => (Number.isFinite(value) && value >= 0 ? value : null);
+
+/**
+ * Saved points for a track source.
+ * @returns {{a: number|null, b: number|null}} Seconds, null when not set
+ */
+export const loadLoopPoints = (src) => {
+  const saved = cache.get(src);
+  return { a: toPoint(saved?.a), b: toPoint(saved?.b) };
+};
+
+export const saveLoopPoints = (src, { a, b }) => {
+  const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+  cache.set(src, a === null && b === null ? null : { a: round(a), b: round(b) });
+};
+
+/**
+ * Sets point `point` at `time`, dropping the other one when the loop would be too short or
+ * backwards, so the new point starts a fresh loop.
+ * @param {{a: number|null, b: number|null}} points
+ * @param {"a"|"b"} point
+ * @param {number} time - Seconds
+ */
+export const withLoopPoint = (points, point, time) => {
+  const next = { ...points, [point]: time };
+  if (next.a !== null && next.b !== null && next.b - next.a < MIN_LOOP) {
+    next[point === "a" ? "b" : "a"] = null;
+  }
+  return next;
+};
+
+/** The loop between two points, or null until both are set. */
+export const getLoop = ({ a, b }) =>
+  a !== null && b !== null && b - a >= MIN_LOOP ? { start: a, end: b } : null;
@@ -643,12 +643,51 @@ export const createParticleSystem = (canvas) => {
     ctx.restore();
   };
 
+  /**
+   * A–B loop markers right of the glass, drawn over `render` or `renderStatic`: a labelled tick
+   * per point at its share of the track from top to bottom, and a bracket between the two.
+   * @param {{a: number|null, b: number|null}} points - Progress (0-1) of each point set
+   */
+  const renderLoopMarkers = ({ a, b }) => {
+    if (a === null && b === null) return;
+    const toY = (progress) => TOP_BASE_Y + progress * (BOTTOM_BASE_Y - TOP_BASE_Y);
+    ctx.save();
+    ctx.scale(2, 2);
+    ctx.strokeStyle = `rgba(${PARTICLE_COLOR.r}, ${PARTICLE_COLOR.g}, ${PARTICLE_COLOR.b}, 0.8)`;
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.lineWidth = 0.8;
+    ctx.font = "bold 5px sans-serif";
+    ctx.textAlign = "center";
+    if (a !== null && b !== null) {
+      ctx.globalAlpha = 0.4;
+      ctx.beginPath();
+      ctx.moveTo(97, toY(a));
+      ctx.lineTo(97, toY(b));
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+    [
+      ["A", a],
+      ["B", b],
+    ].forEach(([label, progress]) => {
+      if (progress === null) return;
+      const y = toY(progress);
+      ctx.beginPath();
+      ctx.moveTo(92, y);
+      ctx.lineTo(97, y);
+      ctx.stroke();
+      ctx.fillText(label, 94.5, label === "A" ? y - 1.5 : y + 5.5);
+    });
+    ctx.restore();
+  };
+
   return {
     init,
     update,
     redistribute,
     render,
     renderStatic,
+    renderLoopMarkers,
     get hasParticles() {
       return particles.length > 0;
     },
@@ -1,10 +1,17 @@
 /**
  * @module audio/hourglass/hourglass-player
  * Hourglass audio player orchestrator.
- * Assembles particles, gestures, reverse audio, and 3D overlay.
+ * Assembles particles, gestures, reverse audio, waveform strip, A–B loop, and 3D overlay.
  */
 
-import { WIDTH, HEIGHT, prefersReducedMotion } from "./hourglass-constants.js";
+import { t } from "../../i18n/i18n.js";
+import {
+  WIDTH,
+  HEIGHT,
+  MAX_PLAYBACK_RATE,
+  MIN_PLAYBACK_RATE,
+  prefersReducedMotion,
+} from "./hourglass-constants.js";
 import { createParticleSystem } from "./hourglass-particles.js";
 import {
   getPointerAngle,
@@ -12,12 +19,30 @@ import {
   easeOutCubic,
   computePlaybackSpeed,
   createShakeDetector,
+  createSpeedRamp,
 } from "./hourglass-gestures.js";
+import { connectMediaElement, setTrackSpeed } from "../audio-engine.js";
+import { analyzeTrackBeats, getBeatGrid, snapToBeat } from "../beat-grid.js";
 import { createReverseAudio } from "./hourglass-audio.js";
+import { computePeaks, createWaveformStrip, loadPeaks, savePeaks } from "./hourglass-waveform.js";
+import { getLoop, loadLoopPoints, saveLoopPoints, withLoopPoint } from "./hourglass-loop.js";
 import { initHourglass3D } from "./hourglass-3d.js";
 
 const SNAP_DURATION = 200;
 
+/** Below this speed the tape has stopped: playback pauses. */
+const STOPPED_SPEED = 0.01;
+
+/** A loop end is kept this far (seconds) before the end of the track, so it never ends. */
+const LOOP_END_MARGIN = 0.1;
+
+/** Share of the reverse-preparation bar each phase fills. */
+const REVERSE_PHASES = {
+  loading: [0, 0.6],
+  decoding: [0.6, 0.7],
+  reversing: [0.7, 1],
+};
+
 /**
  * SVG frame for the hourglass - glyph-style with layered depth
  */
@@ -128,9 +153,13 @@ const HOURGLASS_FRAME_SVG = `
  * Create hourglass audio player.
  * @param {HTMLElement} container - Container element for the player
  * @param {HTMLAudioElement} audio - Audio element to control
+ * @param {Object} [hooks] - Playback reports, e.g. for data/listening-stats
+ * @param {function(number): void} [hooks.onReverse] - Seconds of reversed playback per frame
+ * @param {function(number): void} [hooks.onSpeed] - Absolute speed while playing
+ * @param {function(): void} [hooks.onRestart]
  * @returns {Object} Player API
  */
-export const createHourglassPlayer = (container, audio) => {
+export const createHourglassPlayer = (container, audio, hooks = {}) => {
   if (!container || !(audio instanceof HTMLAudioElement)) return null;
 
   // --- Canvas ---
@@ -139,9 +168,19 @@ export const createHourglassPlayer = (container, audio) => {
   canvas.width = WIDTH * 2;
   canvas.height = HEIGHT * 2;
 
+  const trackSrc = audio.currentSrc || audio.src;
+
   // --- Sub-systems ---
   const particleSys = createParticleSystem(canvas);
-  const reverseAudio = createReverseAudio(audio);
+  const reverseAudio = createReverseAudio(audio, {
+    onProgress: (report) => updateReverseStatus(report),
+    onDecoded: (buffer, src) => {
+      const peaks = computePeaks(buffer);
+      savePeaks(src, peaks);
+      waveform.setPeaks(peaks);
+      analyzeTrackBeats(audio, buffer);
+    },
+  });
 
   // --- State ---
   let progress = 0;
@@ -150,6 +189,8 @@ export const createHourglassPlayer = (container, audio) => {
   let disposed = false;
   let particleProgress = 0;
   let three3d = null;
+  let loopPoints = loadLoopPoints(trackSrc); // A–B, in seconds
+  let lastForwardTime = audio.currentTime || 0;
 
   // Rotation
   let rotationAngle = 0;
@@ -158,6 +199,11 @@ export const createHourglassPlayer = (container, audio) => {
   let pointerStartAngle = 0;
   let userPaused = false;
   let playbackSpeed = 1;
+  const speedRamp = createSpeedRamp();
+
+  // The pitch follows the speed, as on a turntable; restored on dispose
+  const preservedPitch = audio.preservesPitch;
+  audio.preservesPitch = false;
 
   // Snap-on-release
   let isSnapping = false;
@@ -199,38 +245,174 @@ export const createHourglassPlayer = (container, audio) => {
   retryBtn.setAttribute("aria-label", "Retry");
   wrapper.appendChild(retryBtn);
 
-  container.appendChild(wrapper);
+  // Waveform beside the hourglass, in a row so it keeps the hourglass height at every size
+  const stage = document.createElement("div");
+  stage.className = "hourglass-stage";
+  const waveform = createWaveformStrip({
+    onSeek: (value) => {
+      if (audio.duration && Number.isFinite(audio.duration)) seekTo(value * audio.duration);
+    },
+  });
+  waveform.setPeaks(loadPeaks(trackSrc));
+  stage.append(wrapper, waveform.element);
+  container.appendChild(stage);
+
+  // Reverse playback preparation, outside the wrapper so it does not turn with the hourglass
+  const reverseStatus = document.createElement("div");
+  reverseStatus.className = "hourglass-reverse-status";
+  reverseStatus.setAttribute("role", "progressbar");
+  reverseStatus.setAttribute("aria-label", "Preparing reverse playback");
+  reverseStatus.setAttribute("aria-valuemin", "0");
+  reverseStatus.setAttribute("aria-valuemax", "100");
+  reverseStatus.hidden = true;
+  const reverseStatusBar = document.createElement("div");
+  reverseStatusBar.className = "hourglass-reverse-status-bar";
+  reverseStatus.appendChild(reverseStatusBar);
+  container.appendChild(reverseStatus);
+
+  const updateReverseStatus = ({ phase, progress }) => {
+    const range = REVERSE_PHASES[phase];
+    reverseStatus.hidden = !range;
+    if (!range) return;
+    const value = range[0] + (range[1] - range[0]) * progress;
+    reverseStatus.dataset.phase = phase;
+    reverseStatus.setAttribute("aria-valuenow", String(Math.round(value * 100)));
+    reverseStatusBar.style.transform = `scaleX(${value})`;
+  };
+
+  // A–B loop controls
+  const loopControls = document.createElement("div");
+  loopControls.className = "hourglass-loop";
+  const createLoopButton = (className, text, labelKey, onClick) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = className;
+    button.textContent = text;
+    button.setAttribute("aria-label", t(labelKey));
+    button.title = t(labelKey);
+    button.addEventListener("click", onClick);
+    loopControls.appendChild(button);
+    return button;
+  };
+  const loopStartBtn = createLoopButton(
+    "hourglass-loop-point",
+    "A",
+    "keys.hourglass.loopStart",
+    () => setLoopPoint("a"),
+  );
+  const loopEndBtn = createLoopButton("hourglass-loop-point", "B", "keys.hourglass.loopEnd", () =>
+    setLoopPoint("b"),
+  );
+  const loopClearBtn = createLoopButton(
+    "hourglass-loop-clear",
+    "×",
+    "keys.hourglass.loopClear",
+    () => clearLoop(),
+  );
+  container.appendChild(loopControls);
+
+  const hasDuration = () => Boolean(audio.duration) && Number.isFinite(audio.duration);
+
+  const getLoopProgress = () =>
+    hasDuration()
+      ? {
+          a: loopPoints.a === null ? null : loopPoints.a / audio.duration,
+          b: loopPoints.b === null ? null : loopPoints.b / audio.duration,
+        }
+      : { a: null, b: null };
+
+  /** Hands the loop to reverse playback and the waveform, and refreshes the buttons. */
+  const applyLoop = () => {
+    const loop = getLoop(loopPoints);
+    reverseAudio.setLoop(loop);
+    const { a, b } = getLoopProgress();
+    waveform.setLoop(loop && a !== null ? { start: a, end: b } : null);
+    loopStartBtn.classList.toggle("is-set", loopPoints.a !== null);
+    loopEndBtn.classList.toggle("is-set", loopPoints.b !== null);
+    loopClearBtn.hidden = loopPoints.a === null && loopPoints.b === null;
+    loopControls.classList.toggle("is-looping", Boolean(loop));
+  };
+
+  const getCurrentTime = () =>
+    reverseAudio.isReversed ? reverseAudio.getForwardTime() : audio.currentTime || 0;
+
+  /** Marks A or B at the current position, in either direction, on the nearest beat if known. */
+  const setLoopPoint = (point) => {
+    if (!hasDuration()) return;
+    const beat = snapToBeat(getBeatGrid(audio), getCurrentTime());
+    const time = Math.max(0, Math.min(audio.duration - LOOP_END_MARGIN, beat));
+    loopPoints = withLoopPoint(loopPoints, point, time);
+    saveLoopPoints(trackSrc, loopPoints);
+    applyLoop();
+  };
+
+  const clearLoop = () => {
+    loopPoints = { a: null, b: null };
+    saveLoopPoints(trackSrc, loopPoints);
+    applyLoop();
+  };
+
+  /** Forward playback that just crossed B goes back to A; reverse loops on its own. */
+  const wrapForwardLoop = () => {
+    if (reverseAudio.isReversed) {
+      lastForwardTime = reverseAudio.getForwardTime();
+      return;
+    }
+    const time = audio.currentTime || 0;
+    const loop = getLoop(loopPoints);
+    if (loop && !isDragging && !audio.paused && lastForwardTime < loop.end && time >= loop.end) {
+      seekTo(loop.start);
+      lastForwardTime = loop.start;
+      return;
+    }
+    lastForwardTime = time;
+  };
 
   // --- Playback speed ---
-  const applyPlaybackSpeed = () => {
-    playbackSpeed = computePlaybackSpeed(rotationAngle, shakeDetector.isShaking);
+  /**
+   * Follows the rotation's speed through the tape ramp, so crossing a pause detent slows to a
+   * stop and spins back up; the track's lowpass closes as it slows.
+   * @param {number} dt - Seconds since the last frame
+   */
+  const applyPlaybackSpeed = (dt) => {
+    const targetSpeed = computePlaybackSpeed(rotationAngle, shakeDetector.isShaking);
 
     if (userPaused) {
+      speedRamp.set(0);
+      playbackSpeed = targetSpeed;
       if (reverseAudio.isReversed) reverseAudio.stop();
       return;
     }
 
+    playbackSpeed = speedRamp.step(targetSpeed, dt);
     const absSpeed = Math.abs(playbackSpeed);
+    setTrackSpeed(audio, playbackSpeed);
 
-    if (absSpeed < 0.01) {
+    // Stopped only once the rotation says so: a spin-up starts from a standstill
+    if (absSpeed < STOPPED_SPEED && Math.abs(targetSpeed) < STOPPED_SPEED) {
       if (!audio.paused) audio.pause();
       if (reverseAudio.isReversed) reverseAudio.stop();
       return;
     }
+    hooks.onSpeed?.(Math.min(MAX_PLAYBACK_RATE, absSpeed));
 
-    if (playbackSpeed > 0) {
+    if ((Math.sign(playbackSpeed) || Math.sign(targetSpeed)) > 0) {
       if (reverseAudio.isReversed) {
         const t = reverseAudio.getForwardTime();
         reverseAudio.stop();
         audio.currentTime = t;
       }
-      audio.playbackRate = Math.min(4, Math.max(0.25, playbackSpeed));
-      if (audio.paused) audio.play().catch(() => {});
+      audio.playbackRate = Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, playbackSpeed));
+      if (audio.paused) {
+        connectMediaElement(audio);
+        audio.play().catch(() => {});
+      }
     } else {
       if (!audio.paused) audio.pause();
-      if (!reverseAudio.isReversed && reverseAudio.hasBuffer) {
+      if (!reverseAudio.isReversed) {
+        // Starts once the reversed audio from here is in; until then it is queued first
         reverseAudio.start(audio.currentTime, playbackSpeed);
-      } else if (reverseAudio.isReversed) {
+      } else {
         reverseAudio.setSpeed(playbackSpeed);
       }
     }
@@ -258,7 +440,9 @@ export const createHourglassPlayer = (container, audio) => {
       wrapper.style.transform = `rotate(${rotationAngle}deg)`;
     }
 
-    if (!isDragging) applyPlaybackSpeed();
+    if (!isDragging) applyPlaybackSpeed(dt);
+    if (reverseAudio.isReversed) hooks.onReverse?.(dt);
+    wrapForwardLoop();
 
     // Late-init particles
     if (!particleSys.hasParticles && audio.duration && Number.isFinite(audio.duration)) {
@@ -289,8 +473,10 @@ export const createHourglassPlayer = (container, audio) => {
       particleSys.update(dt, particleProgress, rotationAngle, playbackSpeed);
       particleSys.render();
     }
+    particleSys.renderLoopMarkers(getLoopProgress());
 
     if (three3d) three3d.render(dt);
+    waveform.render(progress);
 
     animationFrame = requestAnimationFrame(tick);
   };
@@ -326,6 +512,8 @@ export const createHourglassPlayer = (container, audio) => {
 
   // --- Audio events ---
   const updateTime = () => {
+    // Also here: animation frames stop in background tabs, time updates do not
+    wrapForwardLoop();
     scrubZone.setAttribute(
       "aria-valuenow",
       String(Math.round((audio.currentTime / audio.duration) * 100) || 0),
@@ -336,6 +524,7 @@ export const createHourglassPlayer = (container, audio) => {
     if (audio.duration && Number.isFinite(audio.duration) && !particleSys.hasParticles) {
       particleSys.init(audio.duration);
     }
+    applyLoop();
     reverseAudio.prepare();
   };
 
@@ -367,6 +556,23 @@ export const createHourglassPlayer = (container, audio) => {
     }
   });
 
+  // --- Seeking ---
+  /**
+   * Moves playback to `time` (seconds) in whichever direction it runs. Reverse playback restarts
+   * from there at once rather than on the next frame, which a hidden page (lock-screen seeking)
+   * may not get.
+   */
+  const seekTo = (time) => {
+    const wasReversed = reverseAudio.isReversed;
+    if (wasReversed) reverseAudio.stop();
+    const target = Math.max(0, Math.min(audio.duration, time));
+    audio.currentTime = target;
+    progress = target / audio.duration;
+    particleProgress = target;
+    particleSys.redistribute(target);
+    if (wasReversed) reverseAudio.start(target, playbackSpeed);
+  };
+
   // --- Scrub interaction ---
   let scrubStartY = 0;
   let scrubStartProgress = 0;
@@ -546,7 +752,42 @@ export const createHourglassPlayer = (container, audio) => {
       return !audio.paused || reverseAudio.isReversed;
     },
 
+    /**
+     * Turn the hourglass by `degrees` from its current detent (forward, pause, reverse, pause),
+     * with the same snap animation as a released drag.
+     */
+    rotateBy(degrees) {
+      const from = isSnapping ? snapTargetAngle : rotationAngle;
+      snapStartAngle = rotationAngle;
+      snapTargetAngle = Math.round(from / 90) * 90 + degrees;
+      snapStartTime = performance.now();
+      isSnapping = true;
+      userPaused = false;
+    },
+
+    /** Shake boost: x2 speed for a moment. */
+    boost() {
+      shakeDetector.boost();
+    },
+
+    /** Set loop point A ("a") or B ("b") at the current position; saved for this track. */
+    setLoopPoint,
+
+    clearLoop,
+
+    /** The A–B loop in seconds, or null. */
+    get loop() {
+      return getLoop(loopPoints);
+    },
+
+    /** Jump to `time` (seconds), e.g. from lock-screen controls; reverse playback goes on. */
+    seek(time) {
+      if (!audio.duration || !Number.isFinite(audio.duration)) return;
+      seekTo(time);
+    },
+
     restart() {
+      hooks.onRestart?.();
       reverseAudio.stop();
       audio.currentTime = 0;
       particleProgress = 0;
@@ -579,10 +820,13 @@ export const createHourglassPlayer = (container, audio) => {
       audio.removeEventListener("timeupdate", updateTime);
       audio.removeEventListener("loadedmetadata", updateDuration);
       audio.removeEventListener("durationchange", updateDuration);
+      audio.preservesPitch = preservedPitch;
+      setTrackSpeed(audio, 1);
 
-      if (wrapper.parentNode) {
-        wrapper.parentNode.removeChild(wrapper);
-      }
+      waveform.dispose();
+      stage.remove();
+      reverseStatus.remove();
+      loopControls.remove();
     },
   };
 };
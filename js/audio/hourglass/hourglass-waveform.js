@@ -0,0 +1,155 @@
+/**
+ * @module audio/hourglass/hourglass-waveform
+ * Waveform strip beside the hourglass: the track's loudness from top (start) to bottom (end),
+ * with a playhead and the A–B loop, and click or drag to seek.
+ *
+ * Peaks come from the buffer reverse playback already decodes, and are kept in localStorage
+ * per track so later visits draw the strip before the audio is fetched.
+ */
+
+import { WAVEFORM_STORAGE_KEY } from "../../core/constants.js";
+import { PARTICLE_COLOR } from "./hourglass-constants.js";
+import { createTrackCache } from "./track-cache.js";
+
+/** Buckets per track. */
+export const PEAK_COUNT = 160;
+
+const { r, g, b } = PARTICLE_COLOR;
+
+/**
+ * Loudest sample per bucket across channels, scaled so the loudest bucket is 99.
+ * @param {AudioBuffer} buffer
+ * @param {number} [count]
+ * @returns {number[]} Integers from 0 to 99
+ */
+export const computePeaks = (buffer, count = PEAK_COUNT) => {
+  const peaks = new Array(count).fill(0);
+  const size = buffer.length / count;
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < count; i++) {
+      const end = Math.min(data.length, Math.round((i + 1) * size));
+      let peak = peaks[i];
+      for (let j = Math.round(i * size); j < end; j++) {
+        const value = Math.abs(data[j]);
+        if (value > peak) peak = value;
+      }
+      peaks[i] = peak;
+    }
+  }
+  const max = Math.max(...peaks) || 1;
+  return peaks.map((peak) => Math.round((peak / max) * 99));
+};
+
+const cache = createTrackCache(WAVEFORM_STORAGE_KEY);
+
+/** Cached peaks for a track source, or null. */
+export const loadPeaks = (src) => {
+  const peaks = cache.get(src);
+  return Array.isArray(peaks) && peaks.length ? peaks : null;
+};
+
+export const savePeaks = (src, peaks) => cache.set(src, peaks);
+
+/**
+ * Vertical waveform strip.
+ * @param {Object} [options]
+ * @param {function(number): void} [options.onSeek] - Progress (0-1) picked on the strip
+ * @returns {{element: HTMLCanvasElement, setPeaks: function(number[]): void,
+ *   setLoop: function({start: number, end: number}|null): void, render: function(number): void,
+ *   dispose: function(): void}}
+ */
+export const createWaveformStrip = ({ onSeek } = {}) => {
+  const canvas = document.createElement("canvas");
+  canvas.className = "hourglass-waveform";
+  canvas.setAttribute("aria-hidden", "true");
+  canvas.hidden = true;
+  const ctx = canvas.getContext("2d");
+
+  let peaks = null;
+  let loop = null; // { start, end } as progress
+  let drawn = null; // { y, width, height } of the last frame, to skip identical ones
+  let seeking = false;
+
+  const draw = (progress) => {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (!ctx || !peaks || !width || !height) return;
+    const y = Math.round(progress * height);
+    if (drawn && drawn.y === y && drawn.width === width && drawn.height === height) return;
+    drawn = { y, width, height };
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+
+    ctx.clearRect(0, 0, width, height);
+    if (loop) {
+      const top = Math.round(loop.start * height);
+      const bottom = Math.round(loop.end * height);
+      ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.1)`;
+      ctx.fillRect(0, top, width, bottom - top);
+      ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.5)`;
+      ctx.fillRect(0, top, width, ratio);
+      ctx.fillRect(0, bottom - ratio, width, ratio);
+    }
+    const row = height / peaks.length;
+    const bar = Math.max(1, row - ratio);
+    peaks.forEach((peak, i) => {
+      const top = i * row;
+      const half = Math.max(ratio, (peak / 99) * (width / 2));
+      const alpha = top + row <= y ? 0.6 : 0.2;
+      ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+      ctx.fillRect(width / 2 - half, top, half * 2, bar);
+    });
+    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.9)`;
+    ctx.fillRect(0, Math.min(height - ratio, y), width, ratio);
+  };
+
+  const getProgress = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+  };
+
+  const handlePointerDown = (e) => {
+    seeking = true;
+    canvas.setPointerCapture?.(e.pointerId);
+    onSeek?.(getProgress(e));
+    e.preventDefault();
+  };
+
+  const handlePointerMove = (e) => {
+    if (seeking) onSeek?.(getProgress(e));
+  };
+
+  const handlePointerUp = () => {
+    seeking = false;
+  };
+
+  canvas.addEventListener("pointerdown", handlePointerDown);
+  canvas.addEventListener("pointermove", handlePointerMove);
+  canvas.addEventListener("pointerup", handlePointerUp);
+  canvas.addEventListener("pointercancel", handlePointerUp);
+
+  return {
+    element: canvas,
+    setPeaks(next) {
+      peaks = next;
+      drawn = null;
+      canvas.hidden = !peaks;
+    },
+    /** Highlights the loop region, given as progress (0-1); null clears it. */
+    setLoop(next) {
+      loop = next;
+      drawn = null;
+    },
+    /** Draws the playhead at `progress` (0-1); cheap when nothing moved. */
+    render: draw,
+    dispose() {
+      canvas.removeEventListener("pointerdown", handlePointerDown);
+      canvas.removeEventListener("pointermove", handlePointerMove);
+      canvas.removeEventListener("pointerup", handlePointerUp);
+      canvas.removeEventListener("pointercancel", handlePointerUp);
+      canvas.remove();
+    },
+  };
+};
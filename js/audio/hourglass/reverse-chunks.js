@@ -0,0 +1,46 @@
+/**
+ * @module audio/hourglass/reverse-chunks
+ * Chunk plan for reversing a decoded track. The reversed buffer is split into fixed-size
+ * chunks, and the ones reverse playback reaches first from a given position come first.
+ * Shared by the reverse worker and its main-thread fallback.
+ */
+
+/** Samples per chunk: about 5.5 s at 48 kHz. */
+export const CHUNK_SIZE = 1 << 18;
+
+export const getChunkCount = (length) => Math.ceil(length / CHUNK_SIZE);
+
+/** Reversed chunk holding the reversed sample that forward sample `from` maps to. */
+export const getChunkIndex = (length, from) =>
+  Math.min(getChunkCount(length) - 1, Math.max(0, Math.floor((length - from) / CHUNK_SIZE)));
+
+/**
+ * Chunk indexes in processing order: from the chunk at forward sample `from` towards the end
+ * of the reversed buffer (what reverse playback plays next), then the rest backwards.
+ * @param {number} length - Samples per channel
+ * @param {number} from - Forward sample playback starts at
+ * @returns {number[]}
+ */
+export const getChunkOrder = (length, from) => {
+  const count = getChunkCount(length);
+  const first = getChunkIndex(length, from);
+  const order = [];
+  for (let i = first; i < count; i++) order.push(i);
+  for (let i = first - 1; i >= 0; i--) order.push(i);
+  return order;
+};
+
+/**
+ * Reversed samples of chunk `index`, read from the far end of the forward channel data.
+ * @param {Float32Array} source - Forward channel data
+ * @param {number} index
+ * @returns {Float32Array}
+ */
+export const reverseChunk = (source, index) => {
+  const start = index * CHUNK_SIZE;
+  const end = Math.min(source.length, start + CHUNK_SIZE);
+  const out = new Float32Array(end - start);
+  const last = source.length - 1;
+  for (let i = start; i < end; i++) out[i - start] = source[last - i];
+  return out;
+};
@@ -0,0 +1,40 @@
+/**
+ * @module audio/hourglass/reverse-worker
+ * Reverses decoded channel data off the main thread, one chunk per task.
+ *
+ * In:  `{ channels: Float32Array[], from }` (buffers transferred) starts a job;
+ *      `{ from }` reorders the chunks left when playback moves.
+ * Out: `{ index, channels }` per reversed chunk (buffers transferred), then `{ done: true }`.
+ */
+
+import { getChunkOrder, reverseChunk } from "./reverse-chunks.js";
+
+let channels = null;
+let pending = [];
+
+const step = () => {
+  const index = pending.shift();
+  if (index === undefined) {
+    self.postMessage({ done: true });
+    return;
+  }
+  const reversed = channels.map((source) => reverseChunk(source, index));
+  self.postMessage(
+    { index, channels: reversed },
+    reversed.map((data) => data.buffer),
+  );
+  // Yield between chunks so reprioritizing messages get through
+  setTimeout(step, 0);
+};
+
+self.addEventListener("message", ({ data }) => {
+  if (data.channels) {
+    channels = data.channels;
+    pending = getChunkOrder(channels[0].length, data.from);
+    setTimeout(step, 0);
+  } else if (channels) {
+    pending = getChunkOrder(channels[0].length, data.from).filter((index) =>
+      pending.includes(index),
+    );
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * @module audio/hourglass/track-cache
+ * Small per-track stores in localStorage, keyed by track source: one JSON object per storage
+ * key, dropping the least recently written tracks past a limit.
+ */
+
+/**
+ * @param {string} storageKey
+ * @param {number} [maxTracks]
+ * @returns {{get: function(string): *, set: function(string, *): void}} `set` with null removes
+ */
+export const createTrackCache = (storageKey, maxTracks = 40) => {
+  const read = () => {
+    try {
+      const cache = JSON.parse(localStorage.getItem(storageKey) || "{}");
+      return cache && typeof cache === "object" ? cache : {};
+    } catch (err) {
+      console.warn(`[hourglass] Discarding unreadable ${storageKey}:`, err.message);
+      return {};
+    }
+  };
+
+  const get = (src) => (src ? (read()[src] ?? null) : null);
+
+  const set = (src, value) => {
+    if (!src) return;
+    const cache = read();
+    delete cache[src];
+    if (value !== null && value !== undefined) cache[src] = value;
+    const keys = Object.keys(cache);
+    keys.slice(0, Math.max(0, keys.length - maxTracks)).forEach((key) => delete cache[key]);
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(cache));
+    } catch (err) {
+      console.warn(`[hourglass] Failed to save ${storageKey}:`, err.message);
+    }
+  };
+
+  return { get, set };
+};
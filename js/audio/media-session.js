@@ -0,0 +1,232 @@
+/**
+ * @module audio/media-session
+ * OS-level metadata and controls (lock screen, notification shade, headset keys) for the track
+ * the playback engine is playing. Transport actions go through the hourglass player when it
+ * shows that track, so reverse playback and particles stay in sync; previous/next walk the
+ * album order and open the state like a map click would.
+ */
+
+import { splitTrackTitle } from "../core/utils.js";
+import { getTextureIndexForState } from "../core/constants.js";
+import { album } from "../data/album.js";
+import { getNextInOrder, getPreviousInOrder } from "./playback.js";
+
+const ARTWORK_SIZE = 512;
+const SEEK_STEP = 10;
+
+const loadImage = (src) =>
+  new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+
+/** Cover-fills the square canvas with the texture, then centres the sigil on a dark veil. */
+const renderArtwork = async (textureSrc, sigilSrc) => {
+  const [texture, sigil] = await Promise.all([
+    textureSrc ? loadImage(textureSrc) : null,
+    sigilSrc ? loadImage(sigilSrc) : null,
+  ]);
+  if (!texture && !sigil) return null;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = ARTWORK_SIZE;
+  canvas.height = ARTWORK_SIZE;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#111";
+  ctx.fillRect(0, 0, ARTWORK_SIZE, ARTWORK_SIZE);
+  if (texture) {
+    const scale = ARTWORK_SIZE / Math.min(texture.width, texture.height);
+    const width = texture.width * scale;
+    const height = texture.height * scale;
+    ctx.drawImage(texture, (ARTWORK_SIZE - width) / 2, (ARTWORK_SIZE - height) / 2, width, height);
+  }
+  if (sigil) {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.45)";
+    ctx.fillRect(0, 0, ARTWORK_SIZE, ARTWORK_SIZE);
+    const box = ARTWORK_SIZE * 0.6;
+    const scale = box / Math.max(sigil.width || box, sigil.height || box);
+    const width = (sigil.width || box) * scale;
+    const height = (sigil.height || box) * scale;
+    ctx.drawImage(sigil, (ARTWORK_SIZE - width) / 2, (ARTWORK_SIZE - height) / 2, width, height);
+  }
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  return blob ? URL.createObjectURL(blob) : null;
+};
+
+/**
+ * @param {object} deps
+ * @param {Object} deps.playback - Engine from `createPlaybackEngine`
+ * @param {function(string): object|null} deps.getTrackForState
+ * @param {function(): Map} deps.getSigilsByState - State id -> sigil image URL
+ * @param {function(): Object|null} deps.getHourglassPlayer - Player of the open info panel
+ * @param {function(): HTMLAudioElement|null} deps.getActiveAudio - Audio of the open info panel
+ * @param {function(string): string[]} deps.getOrder - Album-mode state order for a mode
+ * @param {function(string): void} deps.onSelectState - Opens a state and plays its track
+ */
+export const createMediaSession = ({
+  playback,
+  getTrackForState,
+  getSigilsByState,
+  getHourglassPlayer,
+  getActiveAudio,
+  getOrder,
+  onSelectState,
+}) => {
+  const supported = typeof navigator !== "undefined" && "mediaSession" in navigator;
+  const artworkByState = new Map(); // state id -> Promise of an object URL
+  let shownStateId = null;
+  let watchedAudio = null;
+
+  /** The hourglass player, when it is the one showing the current track. */
+  const getPlayer = () => {
+    const audio = playback.current?.audio;
+    return audio && audio === getActiveAudio() ? getHourglassPlayer() : null;
+  };
+
+  const updatePosition = () => {
+    const audio = playback.current?.audio;
+    if (!audio || !audio.duration || !Number.isFinite(audio.duration)) return;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate || 1,
+        position: Math.min(audio.currentTime, audio.duration),
+      });
+    } catch {
+      // Some browsers reject position updates mid-load
+    }
+  };
+
+  const watchAudio = (audio) => {
+    if (watchedAudio === audio) return;
+    ["loadedmetadata", "seeked", "ratechange"].forEach((type) => {
+      watchedAudio?.removeEventListener(type, updatePosition);
+      audio?.addEventListener(type, updatePosition);
+    });
+    watchedAudio = audio;
+  };
+
+  const setArtwork = async (stateId, metadata) => {
+    if (!artworkByState.has(stateId)) {
+      const textureSrc = album.textures[getTextureIndexForState(stateId)];
+      artworkByState.set(stateId, renderArtwork(textureSrc, getSigilsByState().get(stateId)));
+    }
+    const src = await artworkByState.get(stateId);
+    if (src && shownStateId === stateId) {
+      metadata.artwork = [{ src, sizes: `${ARTWORK_SIZE}x${ARTWORK_SIZE}`, type: "image/png" }];
+    }
+  };
+
+  const showMetadata = (stateId) => {
+    const track = getTrackForState(stateId);
+    const { artist, title } = splitTrackTitle(track?.title ?? "");
+    const metadata = new MediaMetadata({
+      title,
+      artist,
+      album: album.title || document.title,
+    });
+    navigator.mediaSession.metadata = metadata;
+    setArtwork(stateId, metadata).catch((err) => {
+      console.warn("[media-session] Artwork failed:", err.message);
+    });
+  };
+
+  /** Reflects the engine state; call on every engine change. */
+  const update = () => {
+    if (!supported) return;
+    const current = playback.current;
+    watchAudio(current?.audio ?? null);
+    if (!current) {
+      shownStateId = null;
+      navigator.mediaSession.metadata = null;
+      navigator.mediaSession.playbackState = "none";
+      return;
+    }
+    if (current.stateId !== shownStateId) {
+      shownStateId = current.stateId;
+      showMetadata(current.stateId);
+    }
+    const playing = getPlayer()?.playing ?? playback.playing;
+    navigator.mediaSession.playbackState = playing ? "playing" : "paused";
+    updatePosition();
+  };
+
+  const play = () => {
+    const player = getPlayer();
+    if (player) {
+      if (!player.playing) player.togglePlay();
+    } else if (!playback.playing) {
+      playback.toggle();
+    }
+  };
+
+  const pause = () => {
+    const player = getPlayer();
+    if (player) {
+      if (player.playing) player.togglePlay();
+    } else if (playback.playing) {
+      playback.toggle();
+    }
+  };
+
+  const seekTo = (time) => {
+    const audio = playback.current?.audio;
+    if (!audio || !Number.isFinite(time)) return;
+    const player = getPlayer();
+    if (player) player.seek(time);
+    else audio.currentTime = Math.max(0, Math.min(audio.duration || 0, time));
+    updatePosition();
+  };
+
+  /** Neighbour in the album order; discovery order when album mode is off. */
+  const step = (getNeighbour) => {
+    const current = playback.current;
+    if (!current) return;
+    const mode = playback.albumMode === "off" ? "exploration" : playback.albumMode;
+    const stateId = getNeighbour(getOrder(mode), current.stateId);
+    if (stateId) onSelectState(stateId);
+  };
+
+  const handlers = {
+    play,
+    pause,
+    seekto: (details) => seekTo(details.seekTime),
+    seekbackward: (details) =>
+      seekTo((playback.current?.audio.currentTime ?? 0) - (details.seekOffset || SEEK_STEP)),
+    seekforward: (details) =>
+      seekTo((playback.current?.audio.currentTime ?? 0) + (details.seekOffset || SEEK_STEP)),
+    previoustrack: () => step(getPreviousInOrder),
+    nexttrack: () => step(getNextInOrder),
+  };
+
+  const setHandlers = (enabled) => {
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, enabled ? handler : null);
+      } catch {
+        // Action not supported by this browser
+      }
+    });
+  };
+
+  const init = () => {
+    if (!supported) return;
+    setHandlers(true);
+    update();
+  };
+
+  const dispose = () => {
+    if (!supported) return;
+    setHandlers(false);
+    watchAudio(null);
+    artworkByState.forEach((pending) =>
+      pending.then((src) => src && URL.revokeObjectURL(src)).catch(() => {}),
+    );
+    artworkByState.clear();
+  };
+
+  return { init, dispose, update };
+};
@@ -0,0 +1,180 @@
+/**
+ * @module audio/playback
+ * Playback engine shared by every state: track audio outlives the info panel, so leaving a
+ * state keeps its track playing and starting another one crossfades into it. In album mode,
+ * the track that is ending hands over to the next state in exploration or tracks.json order.
+ *
+ * Fades ramp `audio.volume`, which iOS Safari ignores: there the switch is immediate.
+ */
+
+import { ALBUM_MODE_STORAGE_KEY, CROSSFADE_STORAGE_KEY } from "../core/constants.js";
+import { clamp } from "../core/utils.js";
+
+export const ALBUM_MODES = ["off", "exploration", "tracklist"];
+export const DEFAULT_ALBUM_MODE = "off";
+export const DEFAULT_CROSSFADE = 3;
+export const MAX_CROSSFADE = 10;
+
+const readCrossfade = () => {
+  const stored = localStorage.getItem(CROSSFADE_STORAGE_KEY);
+  const seconds = stored === null ? NaN : Number(stored);
+  return Number.isFinite(seconds) ? clamp(seconds, 0, MAX_CROSSFADE) : DEFAULT_CROSSFADE;
+};
+
+const readAlbumMode = () => {
+  const stored = localStorage.getItem(ALBUM_MODE_STORAGE_KEY);
+  return ALBUM_MODES.includes(stored) ? stored : DEFAULT_ALBUM_MODE;
+};
+
+/** State after `stateId` in `order`, or null at the end. */
+export const getNextInOrder = (order, stateId) => {
+  const index = order.indexOf(String(stateId));
+  return index >= 0 ? (order[index + 1] ?? null) : null;
+};
+
+/** State before `stateId` in `order`, or null at the start. */
+export const getPreviousInOrder = (order, stateId) => {
+  const index = order.indexOf(String(stateId));
+  return index > 0 ? order[index - 1] : null;
+};
+
+/**
+ * @param {object} deps
+ * @param {function(string): string[]} deps.getOrder - Album-mode state order for a mode
+ * @param {function(string): void} deps.onAdvance - Album mode moved on to this state
+ * @param {function(): void} [deps.onChange] - Current track or play state changed
+ */
+export const createPlaybackEngine = ({ getOrder, onAdvance, onChange }) => {
+  let current = null; // { stateId, audio }
+  let crossfade = readCrossfade();
+  let albumMode = readAlbumMode();
+  const fades = new Map(); // audio -> animation frame
+  const advanced = new WeakSet(); // elements that already handed over in album mode
+
+  const cancelFade = (audio) => {
+    if (fades.has(audio)) cancelAnimationFrame(fades.get(audio));
+    fades.delete(audio);
+  };
+
+  /** Ramps volume to `to`, then calls `onDone`. */
+  const fade = (audio, to, onDone) => {
+    cancelFade(audio);
+    const from = audio.volume;
+    const duration = crossfade * 1000;
+    if (duration <= 0 || from === to) {
+      audio.volume = to;
+      onDone?.();
+      return;
+    }
+    const start = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / duration);
+      audio.volume = from + (to - from) * progress;
+      if (progress < 1) {
+        fades.set(audio, requestAnimationFrame(step));
+      } else {
+        fades.delete(audio);
+        onDone?.();
+      }
+    };
+    fades.set(audio, requestAnimationFrame(step));
+  };
+
+  const fadeOut = (audio) =>
+    fade(audio, 0, () => {
+      audio.pause();
+      audio.volume = 1;
+    });
+
+  const advance = (audio) => {
+    if (albumMode === "off" || advanced.has(audio) || audio !== current?.audio) return;
+    const next = getNextInOrder(getOrder(albumMode), current.stateId);
+    if (!next) return;
+    advanced.add(audio);
+    onAdvance(next);
+  };
+
+  /** Track audio started: it becomes current and the previous track fades out. */
+  const handlePlay = (stateId, audio) => {
+    if (current?.audio !== audio) {
+      const previous = current?.audio;
+      current = { stateId, audio };
+      if (previous && !previous.paused) {
+        audio.volume = 0;
+        fadeOut(previous);
+      }
+    }
+    if (audio.volume < 1 && !fades.has(audio)) fade(audio, 1);
+    onChange?.();
+  };
+
+  const handleTimeUpdate = (audio) => {
+    if (!audio.duration || !Number.isFinite(audio.duration) || audio.paused) return;
+    // Start the next track early so the crossfade ends with this one
+    if (audio.duration - audio.currentTime <= Math.max(crossfade, 0.25)) advance(audio);
+  };
+
+  /**
+   * Audio element for a state's track; the current one is reused so re-entering a state keeps
+   * its track going. New elements play nothing until the caller starts them.
+   * @param {string} stateId
+   * @param {string} file - Track URL
+   * @returns {HTMLAudioElement}
+   */
+  const load = (stateId, file) => {
+    const id = String(stateId);
+    if (current?.stateId === id) return current.audio;
+    const audio = new Audio();
+    audio.preload = "metadata";
+    audio.src = encodeURI(file);
+    audio.addEventListener("play", () => handlePlay(id, audio));
+    audio.addEventListener("pause", () => onChange?.());
+    audio.addEventListener("timeupdate", () => handleTimeUpdate(audio));
+    audio.addEventListener("ended", () => {
+      advance(audio);
+      onChange?.();
+    });
+    return audio;
+  };
+
+  /** Pause or resume the current track. */
+  const toggle = () => {
+    const audio = current?.audio;
+    if (!audio) return;
+    cancelFade(audio);
+    audio.volume = 1;
+    if (audio.paused) audio.play().catch(() => {});
+    else audio.pause();
+  };
+
+  const setCrossfade = (seconds) => {
+    const value = Number(seconds);
+    crossfade = Number.isFinite(value) ? clamp(value, 0, MAX_CROSSFADE) : DEFAULT_CROSSFADE;
+    localStorage.setItem(CROSSFADE_STORAGE_KEY, String(crossfade));
+  };
+
+  const setAlbumMode = (mode) => {
+    albumMode = ALBUM_MODES.includes(mode) ? mode : DEFAULT_ALBUM_MODE;
+    localStorage.setItem(ALBUM_MODE_STORAGE_KEY, albumMode);
+    onChange?.();
+  };
+
+  return {
+    load,
+    toggle,
+    setCrossfade,
+    setAlbumMode,
+    get current() {
+      return current;
+    },
+    get playing() {
+      return Boolean(current && !current.audio.paused);
+    },
+    get crossfade() {
+      return crossfade;
+    },
+    get albumMode() {
+      return albumMode;
+    },
+  };
+};
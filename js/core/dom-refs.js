@@ -18,14 +18,47 @@ export const characterSelect = document.getElementById("character-select");
 export const characterConfirm = document.getElementById("character-confirm");
 export const characterCards = document.querySelectorAll(".character-card[data-character]");
 export const aboutChangeCharacter = document.getElementById("about-change-character");
+export const journeyExport = document.getElementById("journey-export");
+export const journeyImport = document.getElementById("journey-import");
+export const journeyImportFile = document.getElementById("journey-import-file");
+export const journeyShare = document.getElementById("journey-share");
+export const journeySeed = document.getElementById("journey-seed");
+export const journeyStatus = document.getElementById("journey-status");
+export const offlineDownload = document.getElementById("offline-download");
+export const offlineStatus = document.getElementById("offline-status");
+export const updateToast = document.getElementById("update-toast");
+export const updateReload = document.getElementById("update-reload");
+export const keyboardHelpModal = document.getElementById("keyboard-help");
+export const keyboardHelpList = document.getElementById("keyboard-help-list");
+export const keyboardHelpClose = document.getElementById("keyboard-help-close");
+export const keyboardHelpReset = document.getElementById("keyboard-help-reset");
+export const keyboardHelpStatus = document.getElementById("keyboard-help-status");
+export const keyboardHelpOpen = document.getElementById("keyboard-help-open");
+export const playbackBar = document.getElementById("playback-bar");
+export const playbackLabel = document.getElementById("playback-label");
+export const playbackToggle = document.getElementById("playback-toggle");
+export const albumModeSelect = document.getElementById("album-mode-select");
+export const crossfadeInput = document.getElementById("crossfade-input");
+export const crossfadeValue = document.getElementById("crossfade-value");
+export const listeningStatsPanel = document.getElementById("listening-stats");
+export const listeningStatsList = document.getElementById("listening-stats-list");
+export const listeningExport = document.getElementById("listening-export");
 export const finaleModal = document.getElementById("finale-modal");
 export const finaleClose = document.getElementById("finale-close");
+export const finaleText = document.getElementById("finale-text");
+export const finaleArt = document.getElementById("finale-art");
+export const finaleRecap = document.getElementById("finale-recap");
+export const mapModes = document.getElementById("map-modes");
+export const mapModeSelect = document.getElementById("map-mode-select");
+export const mapLegend = document.getElementById("map-legend");
 export const stateCanvas = document.getElementById("state-3d-canvas");
 export const threeStack = document.getElementById("state-3d-stack");
+export const textModeToggle = document.getElementById("text-mode-toggle");
+export const textJourneySection = document.getElementById("text-journey");
+export const textJourneyState = document.getElementById("text-journey-state");
+export const textJourneyStatus = document.getElementById("text-journey-status");
+export const textJourneyPlaces = document.getElementById("text-journey-places");
 
-export const dataUrl = app?.dataset.geojson;
-export const sigilsUrl = app?.dataset.sigils;
-export const tracksUrl = app?.dataset.tracks;
 export const shouldPreloadSnapshots = app?.dataset.preloadSnapshots === "true";
 
 export const mobileMediaQuery = matchMedia("(max-width: 900px)");
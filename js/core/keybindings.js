@@ -0,0 +1,98 @@
+/**
+ * @module core/keybindings
+ * Keyboard actions and the key bound to each. Defaults can be remapped from the help overlay;
+ * overrides are kept in localStorage, and a key belongs to a single action at a time.
+ */
+
+import { KEYBINDINGS_STORAGE_KEY } from "./constants.js";
+
+/** Action id -> default key, in help-overlay order. Keys use `KeyboardEvent.key`, lowercased. */
+export const DEFAULT_BINDINGS = {
+  "map.next": "n",
+  "map.previous": "p",
+  "state.enter": "Enter",
+  "state.leave": "Escape",
+  "hourglass.play": " ",
+  "hourglass.clockwise": "]",
+  "hourglass.counterclockwise": "[",
+  "hourglass.boost": "b",
+  "hourglass.loopStart": "i",
+  "hourglass.loopEnd": "o",
+  "hourglass.loopClear": "x",
+  "tarot.flip": "f",
+  "tarot.confirm": "c",
+  help: "?",
+};
+
+export const KEYBOARD_ACTIONS = Object.keys(DEFAULT_BINDINGS);
+
+const KEY_LABELS = {
+  " ": "Space",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Escape: "Esc",
+};
+
+const bindings = new Map(Object.entries(DEFAULT_BINDINGS));
+
+/** Letters are matched regardless of Shift or Caps Lock. */
+export const normalizeKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+
+/** Short label for a key, e.g. "Space" or "→". */
+export const formatKey = (key) => KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+
+const save = () => {
+  const overrides = Object.fromEntries(
+    [...bindings].filter(([action, key]) => DEFAULT_BINDINGS[action] !== key),
+  );
+  try {
+    localStorage.setItem(KEYBINDINGS_STORAGE_KEY, JSON.stringify(overrides));
+  } catch (err) {
+    console.warn("[keybindings] Failed to save key bindings:", err.message);
+  }
+};
+
+export const loadBindings = () => {
+  try {
+    const raw = localStorage.getItem(KEYBINDINGS_STORAGE_KEY);
+    const overrides = raw ? JSON.parse(raw) : {};
+    Object.entries(overrides ?? {}).forEach(([action, key]) => {
+      if (action in DEFAULT_BINDINGS && typeof key === "string" && key) bindings.set(action, key);
+    });
+  } catch (err) {
+    console.warn("[keybindings] Discarding unreadable key bindings:", err.message);
+  }
+};
+
+export const getBinding = (action) => bindings.get(action) ?? null;
+
+/** Action bound to a `KeyboardEvent.key`, or null. */
+export const getActionForKey = (key) => {
+  const normalized = normalizeKey(key);
+  for (const [action, bound] of bindings) {
+    if (bound === normalized) return action;
+  }
+  return null;
+};
+
+/**
+ * Binds `key` to `action`; the action that held the key gets `action`'s previous key.
+ * @returns {string|null} The action whose key was swapped, if any
+ */
+export const setBinding = (action, key) => {
+  if (!(action in DEFAULT_BINDINGS)) return null;
+  const normalized = normalizeKey(key);
+  const previous = bindings.get(action);
+  const displaced = getActionForKey(normalized);
+  if (displaced && displaced !== action) bindings.set(displaced, previous);
+  bindings.set(action, normalized);
+  save();
+  return displaced !== action ? displaced : null;
+};
+
+export const resetBindings = () => {
+  Object.entries(DEFAULT_BINDINGS).forEach(([action, key]) => bindings.set(action, key));
+  save();
+};
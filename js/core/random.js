@@ -0,0 +1,72 @@
+/**
+ * @module core/random
+ * Seeded randomness for a journey. Every draw comes from a stream derived from the journey
+ * seed and a purpose key (e.g. `("tarot", stateId)`), so two listeners with the same seed and
+ * answers see the same destinations and verso images whatever else happened in between.
+ */
+
+export const SEED_QUERY_PARAM = "seed";
+const SEED_PATTERN = /^[\w-]{1,32}$/;
+
+let journeySeed = null;
+
+/** FNV-1a over the joined parts: turns a seed and keys into a 32-bit state. */
+const hashParts = (parts) => {
+  let hash = 0x811c9dc5;
+  const text = parts.join("\u0000");
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/** mulberry32: small, fast, good enough for shuffles and picks. */
+const mulberry32 = (state) => () => {
+  state = (state + 0x6d2b79f5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/** @returns {string|null} The seed when it is a short word of letters, digits, `_` or `-` */
+export const normalizeSeed = (value) => {
+  const seed = typeof value === "string" ? value.trim() : "";
+  return SEED_PATTERN.test(seed) ? seed : null;
+};
+
+/** A fresh base-36 seed, e.g. "0k3x9qz". */
+export const createSeed = () => {
+  const [value] = crypto.getRandomValues(new Uint32Array(1));
+  return value.toString(36).padStart(7, "0");
+};
+
+/** Seed from `?seed=`, or null when absent or malformed. */
+export const getRequestedSeed = () => {
+  const requested = new URLSearchParams(window.location.search).get(SEED_QUERY_PARAM);
+  const seed = normalizeSeed(requested);
+  if (requested !== null && !seed) console.warn(`[random] Ignoring invalid seed "${requested}"`);
+  return seed;
+};
+
+export const getSeed = () => journeySeed;
+
+export const setSeed = (seed) => {
+  journeySeed = normalizeSeed(seed);
+};
+
+/** Returns the journey seed, creating one the first time. */
+export const ensureSeed = () => {
+  if (!journeySeed) journeySeed = createSeed();
+  return journeySeed;
+};
+
+/**
+ * @param {...(string|number)} keys - What the stream is for, e.g. ("verso", stateId)
+ * @returns {function(): number} Deterministic generator in [0, 1)
+ */
+export const getRandom = (...keys) => mulberry32(hashParts([ensureSeed(), ...keys.map(String)]));
+
+/** Uniform pick from a non-empty list. */
+export const pick = (list, random) => list[Math.floor(random() * list.length)];
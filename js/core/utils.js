@@ -10,8 +10,18 @@ export const formatTime = (value) => {
   return `${minutes}:${seconds.toString().padStart(2, "0")}`;
 };
 
+/** Track titles are written "Artist - Title". */
+export const splitTrackTitle = (fullTitle) => {
+  const parts = String(fullTitle).split(" - ");
+  return { artist: parts[0] || "", title: parts.slice(1).join(" - ") || String(fullTitle) };
+};
+
 export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
 
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
 export const easeInOutCubic = (t) =>
   t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
 
@@ -0,0 +1,69 @@
+/**
+ * @module data/album
+ * The active volume's manifest: data URLs, textures, verso images, finale states, endings
+ * and palette.
+ * `album` is filled in place by `applyAlbum` before the map boots; consumers read it lazily.
+ */
+
+import { JOURNEY_STORAGE_KEY } from "../core/constants.js";
+
+export const VOLUME_QUERY_PARAM = "volume";
+export const DEFAULT_VOLUME = "vol1";
+const ALBUMS_DIR = "data/albums";
+const VOLUME_ID_PATTERN = /^[\w-]+$/;
+
+export const album = {
+  id: DEFAULT_VOLUME,
+  title: null,
+  geojson: null,
+  rivers: null,
+  tracks: {},
+  sigils: null,
+  textures: [],
+  versoImages: [],
+  finale: { penultimate: null, final: null },
+  endings: [],
+  palette: { ocean: null, states: [] },
+  storageKey: JOURNEY_STORAGE_KEY,
+};
+
+/** Volume id from `?volume=`, falling back to the default for missing or unsafe ids. */
+export const getRequestedVolume = () => {
+  const volume = new URLSearchParams(window.location.search).get(VOLUME_QUERY_PARAM);
+  if (!volume) return DEFAULT_VOLUME;
+  if (!VOLUME_ID_PATTERN.test(volume)) {
+    console.warn(`[album] Ignoring invalid volume "${volume}"`);
+    return DEFAULT_VOLUME;
+  }
+  return volume;
+};
+
+export const getAlbumUrl = (volume) => `${ALBUMS_DIR}/${volume}.json`;
+
+/**
+ * @param {object} manifest - Validated album manifest
+ */
+export const applyAlbum = (manifest) => {
+  album.id = manifest.id;
+  album.title = manifest.title ?? null;
+  album.geojson = manifest.geojson;
+  album.rivers = manifest.rivers ?? null;
+  album.tracks = { ...manifest.tracks };
+  album.sigils = manifest.sigils ?? null;
+  album.textures.splice(0, album.textures.length, ...manifest.textures);
+  album.versoImages.splice(0, album.versoImages.length, ...(manifest.versoImages || []));
+  album.finale.penultimate = manifest.finale?.penultimate ?? null;
+  album.finale.final = manifest.finale?.final ?? null;
+  album.endings = Array.isArray(manifest.endings) ? [...manifest.endings] : [];
+  album.palette.ocean = manifest.palette?.ocean ?? null;
+  album.palette.states = [...(manifest.palette?.states || [])];
+  album.storageKey = manifest.storageKey || `${JOURNEY_STORAGE_KEY}-${manifest.id}`;
+  return album;
+};
+
+/** Reserved states reached only through the finale, in order. */
+export const getFinaleStates = () =>
+  [album.finale.penultimate, album.finale.final].filter((stateId) => stateId !== null);
+
+export const isFinalState = (stateId) =>
+  album.finale.final !== null && String(stateId) === album.finale.final;
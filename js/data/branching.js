@@ -0,0 +1,108 @@
+/**
+ * @module data/branching
+ * Resolves where each tarot card leads. A track choice is either its label, or an object
+ * naming the destinations the writers intended:
+ *
+ *   { "text": "...", "targets": ["4", "7"], "when": { "revealed": ["2"] }, "fallback": "any",
+ *     "set": { "bicycle": true } }
+ *
+ * `targets` are tried in order (first unrevealed one wins) while `when` holds; otherwise
+ * the card falls back to `fallback`: "neighbors" (default: an unrevealed neighbour, or any
+ * unrevealed state when there is none), "any", or "none" to drop the card.
+ * Finale states stay reserved even when named as targets.
+ * `text` may be a conditional text (data/narrative); a choice with no matching text is not
+ * offered. `set` flags are applied when the card is picked.
+ */
+
+import { getNarrativeContext, matchesCondition, resolveText } from "./narrative.js";
+
+export const FALLBACK_RULES = ["neighbors", "any", "none"];
+const DEFAULT_FALLBACK = "neighbors";
+
+/**
+ * Label of a choice in either form.
+ * @param {string|object} choice
+ * @param {object} [context] - Narrative context for conditional labels
+ */
+export const getChoiceText = (choice, context = getNarrativeContext()) =>
+  typeof choice === "string" ? choice : resolveText(choice?.text ?? "", context);
+
+/**
+ * @param {string|object} choice - Entry of a track's `choices`
+ * @param {object} [context] - Narrative context for conditional labels
+ * @returns {{text: string, targets: string[], when: object|null, fallback: string, set: object|null}}
+ */
+export const normalizeChoice = (choice, context = getNarrativeContext()) => {
+  if (typeof choice === "string") {
+    return { text: choice, targets: [], when: null, fallback: DEFAULT_FALLBACK, set: null };
+  }
+  return {
+    text: getChoiceText(choice, context),
+    targets: (choice?.targets || []).map(String),
+    when: choice?.when || null,
+    fallback: FALLBACK_RULES.includes(choice?.fallback) ? choice.fallback : DEFAULT_FALLBACK,
+    set: choice?.set || null,
+  };
+};
+
+/**
+ * Picks a destination for each choice; two cards never share one unless there is only a
+ * single state left to offer.
+ * @param {Array<string|object>} choices - The source track's `choices`
+ * @param {object} context
+ * @param {string[]} context.neighbors - Neighbours of the current state
+ * @param {string[]} context.candidates - Unrevealed, non-reserved states
+ * @param {function(string): boolean} context.isRevealed
+ * @param {number} context.revealedCount
+ * @param {Map} [context.flags] - Narrative flags
+ * @param {function(): number} [context.random] - Shuffle source, defaults to Math.random
+ * @returns {Array<{text: string, target: string, set: object|null}>} One entry per card to show
+ */
+export const resolveChoices = (choices, context) => {
+  const { neighbors, candidates, random = Math.random } = context;
+  const available = new Set(candidates);
+  const taken = new Set();
+  // Fisher–Yates: an unbiased order, reproducible for a seeded `random`
+  const shuffle = (list) => {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  };
+  const neighborPool = shuffle(neighbors.filter((id) => available.has(id)));
+  const anyPool = shuffle(candidates);
+
+  const normalized = choices
+    .map((choice) => normalizeChoice(choice, context))
+    .filter((choice) => choice.text);
+  const resolved = normalized.map((choice) => {
+    if (!matchesCondition(choice.when, context)) return null;
+    const target = choice.targets.find((id) => available.has(id) && !taken.has(id)) ?? null;
+    if (target) taken.add(target);
+    return target;
+  });
+
+  const pickFrom = (pool) => pool.find((id) => !taken.has(id)) ?? pool[0] ?? null;
+  const fallbackTarget = (rule) => {
+    if (rule === "any") return pickFrom(anyPool);
+    return pickFrom(neighborPool.length ? neighborPool : anyPool);
+  };
+
+  const cards = [];
+  normalized.forEach((choice, i) => {
+    let target = resolved[i];
+    if (!target && choice.fallback !== "none") target = fallbackTarget(choice.fallback);
+    if (!target) return;
+    taken.add(target);
+    cards.push({ text: choice.text, target, set: choice.set });
+  });
+
+  // Every card opted out: keep the first one on the default rule so the journey can go on.
+  if (!cards.length && normalized.length) {
+    const target = fallbackTarget(DEFAULT_FALLBACK);
+    if (target) cards.push({ text: normalized[0].text, target, set: normalized[0].set });
+  }
+  return cards;
+};
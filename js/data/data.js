@@ -1,18 +1,76 @@
 /**
  * @module data/data
- * Promise-based JSON loaders with type-specific caching.
+ * Promise-based JSON loaders with type-specific caching and schema validation.
  */
 
+import {
+  DataValidationError,
+  validateAlbum,
+  validateGeoJSON,
+  validateRivers,
+  validateReferences,
+  validateSigils,
+  validateTracks,
+} from "./validate.js";
+
+const fileName = (url) => decodeURI(String(url).split(/[?#]/)[0].split("/").pop() || url);
+
+const assertValid = (issues) => {
+  if (issues.length) throw new DataValidationError(issues);
+};
+
 const loadJson = async (url, label) => {
   const response = await fetch(url);
   if (!response.ok) {
     throw new Error(`Failed to load ${label}: ${response.status}`);
   }
-  return response.json();
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new Error(`Failed to parse ${label} (${fileName(url)}): ${error.message}`);
+  }
 };
 
-export const loadGeoJSON = (url) => loadJson(url, "geojson");
+export const loadAlbumManifest = async (url) => {
+  const data = await loadJson(url, "album");
+  assertValid(validateAlbum(data, fileName(url)));
+  return data;
+};
 
-export const loadTracks = (url) => loadJson(url, "tracks");
+export const loadGeoJSON = async (url) => {
+  const data = await loadJson(url, "geojson");
+  assertValid(validateGeoJSON(data, fileName(url)));
+  return data;
+};
 
-export const loadSigils = (url) => loadJson(url, "sigils");
+export const loadRivers = async (url) => {
+  const data = await loadJson(url, "rivers");
+  assertValid(validateRivers(data, fileName(url)));
+  return data;
+};
+
+export const loadTracks = async (url) => {
+  const data = await loadJson(url, "tracks");
+  assertValid(validateTracks(data, fileName(url)));
+  return data;
+};
+
+export const loadSigils = async (url) => {
+  const data = await loadJson(url, "sigils");
+  assertValid(validateSigils(data, fileName(url)));
+  return data;
+};
+
+/**
+ * Checks that every map state has a track, sigil and texture once all payloads are loaded.
+ * @param {{geojson: object, tracks: object|null, sigils: object|null}} payloads
+ * @param {{tracks: string, sigils: string, album: string}} urls
+ */
+export const assertDataReferences = (payloads, urls) =>
+  assertValid(
+    validateReferences(payloads, {
+      tracks: fileName(urls.tracks ?? "tracks.json"),
+      sigils: fileName(urls.sigils ?? "sigils.json"),
+      album: fileName(urls.album ?? "album.json"),
+    }),
+  );
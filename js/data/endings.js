@@ -0,0 +1,54 @@
+/**
+ * @module data/endings
+ * Picks the journey's ending from the album's `endings`: the first entry whose `when` holds
+ * (data/narrative conditions, including `order` and `shape`) supplies the finale text, art
+ * and final bark. The ending is recorded when the map is completed so a restored run keeps it.
+ *
+ *   "endings": [
+ *     { "id": "straight", "when": { "shape": "linear" }, "text": { "fr": "…", "en": "…" } },
+ *     { "id": "wanderer", "bark": { "fr": "…", "en": "…" }, "image": "assets/img/finale.webp" }
+ *   ]
+ */
+
+import { pickLocalized, t } from "../i18n/i18n.js";
+import { album } from "./album.js";
+import { getNarrativeContext, matchesCondition } from "./narrative.js";
+
+/** Recorded when no album ending matches: the built-in finale text and bark. */
+export const DEFAULT_ENDING_ID = "default";
+
+let unlockedEndingId = null;
+
+/** First album ending whose condition holds, or null. */
+export const findEnding = (context = getNarrativeContext()) =>
+  album.endings.find((ending) => matchesCondition(ending.when, context)) ?? null;
+
+const getEndingById = (id) => album.endings.find((ending) => ending.id === id) ?? null;
+
+export const getUnlockedEndingId = () => unlockedEndingId;
+
+/** Restores a saved ending; unknown ids (e.g. after an album edit) are dropped. */
+export const setUnlockedEndingId = (id) => {
+  unlockedEndingId =
+    typeof id === "string" && (id === DEFAULT_ENDING_ID || getEndingById(id)) ? id : null;
+};
+
+/**
+ * Records the ending the journey reached; a run keeps the first ending it unlocked.
+ * @returns {object|null} The ending, or null for the default one
+ */
+export const unlockEnding = () => {
+  if (!unlockedEndingId) unlockedEndingId = findEnding()?.id ?? DEFAULT_ENDING_ID;
+  return getEndingById(unlockedEndingId);
+};
+
+/** The unlocked ending, or the one the journey is heading for. */
+export const getEnding = () => (unlockedEndingId ? getEndingById(unlockedEndingId) : findEnding());
+
+export const getEndingText = (ending) =>
+  (ending?.text && pickLocalized(ending.text)) || t("finale.text");
+
+export const getEndingBark = (ending) =>
+  (ending?.bark && pickLocalized(ending.bark)) || t("bark.finale");
+
+export const getEndingImage = (ending) => ending?.image ?? null;
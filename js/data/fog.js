@@ -90,3 +90,46 @@ export const buildStateNeighborMap = (geojsonData) => {
 
   stateNeighborMap = map;
 };
+
+/**
+ * Plain-array copy of the fog state, suitable for serialisation.
+ */
+export const getFogSnapshot = () => ({
+  revealedStates: Array.from(revealedStates),
+  questionedStates: Array.from(questionedStates),
+  explorationTrails: explorationTrails.map(({ from, to }) => ({ from, to })),
+  explorationOrder: explorationOrder.slice(),
+});
+
+/**
+ * Replace the fog state in place so the exported collections keep their identity.
+ * State "1" is always revealed and always the origin of the exploration order.
+ * @param {object} snapshot - Shape returned by getFogSnapshot
+ * @param {function} [isKnownState] - Drops ids the current map does not contain
+ */
+export const restoreFog = (snapshot, isKnownState = () => true) => {
+  const keep = (stateId) => stateId === "1" || isKnownState(stateId);
+  const ids = (list) => (Array.isArray(list) ? list.map(String).filter(keep) : []);
+
+  revealedStates.clear();
+  revealedStates.add("1");
+  ids(snapshot?.revealedStates).forEach((id) => revealedStates.add(id));
+
+  questionedStates.clear();
+  ids(snapshot?.questionedStates).forEach((id) => questionedStates.add(id));
+
+  explorationTrails.length = 0;
+  (snapshot?.explorationTrails || []).forEach((trail) => {
+    const from = String(trail?.from);
+    const to = String(trail?.to);
+    if (!keep(from) || !keep(to)) return;
+    if (!revealedStates.has(from) || !revealedStates.has(to)) return;
+    explorationTrails.push({ from, to });
+  });
+
+  explorationOrder.length = 0;
+  explorationOrder.push("1");
+  ids(snapshot?.explorationOrder).forEach((id) => {
+    if (revealedStates.has(id) && !explorationOrder.includes(id)) explorationOrder.push(id);
+  });
+};
@@ -0,0 +1,157 @@
+/**
+ * @module data/journey-codec
+ * Journey export/import: JSON file content and compact URL-safe share codes.
+ */
+
+import { JOURNEY_SCHEMA_VERSION, migrateJourney, serializeJourney } from "./persistence.js";
+
+export const JOURNEY_QUERY_PARAM = "journey";
+
+const FILE_KIND = "ataraxie-journey";
+
+const toBase64Url = (text) => {
+  let binary = "";
+  new TextEncoder().encode(text).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (code) => {
+  const base64 = code.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const bytes = Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Encode a journey as a share code.
+ *
+ * Compact layout, keyed by single letters:
+ *   v: schema version, o: exploration order (doubles as the revealed set),
+ *   t: trails as [from, to], q: questioned states, c: selected character, s: seed,
+ *   f: narrative flags, e: unlocked ending, l: seconds listened per state,
+ *   a: { stateId: [chosen, option1, option2, label] } where label is the index into
+ *      the source track's `choices` when it matches, otherwise the label text.
+ *
+ * @param {object} journey - Journey in persistence schema
+ * @param {function} getChoices - stateId -> choice labels of that state's track
+ * @returns {string}
+ */
+export const encodeJourneyCode = (journey, getChoices) => {
+  const { explorationOrder, explorationTrails, questionedStates, answeredQuestions } =
+    serializeJourney(journey);
+  const answers = {};
+  Object.entries(answeredQuestions).forEach(([stateId, answer]) => {
+    const labelIndex = (getChoices(stateId) || []).indexOf(answer.chosenLabel);
+    answers[stateId] = [
+      answer.chosen,
+      answer.option1,
+      answer.option2,
+      labelIndex >= 0 ? labelIndex : answer.chosenLabel,
+    ];
+  });
+  const compact = {
+    v: JOURNEY_SCHEMA_VERSION,
+    o: explorationOrder,
+    t: explorationTrails.map(({ from, to }) => [from, to]),
+    q: questionedStates,
+    a: answers,
+  };
+  if (journey.selectedCharacter) compact.c = journey.selectedCharacter;
+  if (journey.seed) compact.s = journey.seed;
+  if (journey.flags && Object.keys(journey.flags).length) compact.f = journey.flags;
+  if (journey.ending) compact.e = journey.ending;
+  if (journey.listening && Object.keys(journey.listening).length) compact.l = journey.listening;
+  return toBase64Url(JSON.stringify(compact));
+};
+
+const isId = (value) => typeof value === "string" || typeof value === "number";
+
+const isIdList = (value) => Array.isArray(value) && value.every(isId);
+
+const isTrail = (entry) => Array.isArray(entry) && entry.length === 2 && entry.every(isId);
+
+/** `[chosen, option1, option2, label]`, label being a choice index or the label text. */
+const isAnswer = (entry) =>
+  Array.isArray(entry) &&
+  entry.length === 4 &&
+  entry.slice(0, 3).every(isId) &&
+  (typeof entry[3] === "string" || Number.isInteger(entry[3]));
+
+/** Whether a parsed code has the compact layout; anything else is rejected whole. */
+const isCompactJourney = (compact) =>
+  Boolean(compact) &&
+  typeof compact === "object" &&
+  !Array.isArray(compact) &&
+  isIdList(compact.o) &&
+  (compact.t === undefined || (Array.isArray(compact.t) && compact.t.every(isTrail))) &&
+  (compact.q === undefined || isIdList(compact.q)) &&
+  (compact.a === undefined ||
+    (typeof compact.a === "object" &&
+      compact.a !== null &&
+      !Array.isArray(compact.a) &&
+      Object.values(compact.a).every(isAnswer))) &&
+  (compact.c === undefined || typeof compact.c === "string");
+
+/**
+ * Decode a share code back into a journey.
+ * @param {string} code
+ * @param {function} getChoices - stateId -> choice labels of that state's track
+ * @returns {object|null} Journey in persistence schema, or null if the code is invalid
+ */
+export const decodeJourneyCode = (code, getChoices) => {
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(String(code || "").trim()));
+  } catch {
+    return null;
+  }
+  if (!isCompactJourney(compact)) return null;
+  const answeredQuestions = {};
+  Object.entries(compact.a || {}).forEach(([stateId, entry]) => {
+    const [chosen, option1, option2, label] = entry;
+    answeredQuestions[stateId] = {
+      chosen,
+      option1,
+      option2,
+      chosenLabel: typeof label === "number" ? (getChoices(stateId) || [])[label] || "" : label,
+    };
+  });
+  return migrateJourney({
+    version: compact.v,
+    revealedStates: compact.o,
+    questionedStates: compact.q,
+    explorationTrails: (compact.t || []).map(([from, to]) => ({ from, to })),
+    explorationOrder: compact.o,
+    answeredQuestions,
+    selectedCharacter: compact.c,
+    seed: compact.s,
+    flags: compact.f,
+    ending: compact.e,
+    listening: compact.l,
+  });
+};
+
+/** Pretty-printed JSON for a downloadable journey file. */
+export const journeyToFileContent = (journey) =>
+  JSON.stringify(
+    { kind: FILE_KIND, exportedAt: new Date().toISOString(), ...serializeJourney(journey) },
+    null,
+    2,
+  );
+
+/**
+ * Parse an exported journey file.
+ * @returns {object|null} Journey in persistence schema, or null if the file is not one
+ */
+export const parseJourneyFile = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!payload || payload.kind !== FILE_KIND) return null;
+  return migrateJourney(payload);
+};
@@ -0,0 +1,152 @@
+/**
+ * @module data/listening-stats
+ * How each track was actually heard, kept in localStorage per volume across journeys:
+ * seconds played forward and reversed, the fastest rotation speed, the furthest point reached
+ * (completion, 0–1) and how many times the track was restarted.
+ * Fed by a recorder per audio element: the element's events plus the hourglass player hooks.
+ * Forward time comes from data/listening's `trackListening`, so the journey's listening time
+ * and these stats run on one clock.
+ */
+
+import { album } from "./album.js";
+
+const STATS_VERSION = 1;
+
+/** Track id -> `{ forward, reversed, maxSpeed, completion, restarts }`. */
+export const listeningStats = new Map();
+
+const createEmptyStats = () => ({
+  forward: 0,
+  reversed: 0,
+  maxSpeed: 0,
+  completion: 0,
+  restarts: 0,
+});
+
+const getStatsKey = () => `${album.storageKey}-listening`;
+
+const getTrackStats = (trackId) => {
+  if (!listeningStats.has(trackId)) listeningStats.set(trackId, createEmptyStats());
+  return listeningStats.get(trackId);
+};
+
+const toNonNegative = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+
+const normalizeStats = (stats) => ({
+  forward: toNonNegative(stats?.forward),
+  reversed: toNonNegative(stats?.reversed),
+  maxSpeed: toNonNegative(stats?.maxSpeed),
+  completion: Math.min(1, toNonNegative(stats?.completion)),
+  restarts: Math.floor(toNonNegative(stats?.restarts)),
+});
+
+export const loadListeningStats = () => {
+  listeningStats.clear();
+  try {
+    const raw = localStorage.getItem(getStatsKey());
+    if (!raw) return;
+    const payload = JSON.parse(raw);
+    if (payload?.version !== STATS_VERSION || typeof payload.tracks !== "object") {
+      console.warn("[listening-stats] Discarding unreadable listening stats");
+      return;
+    }
+    Object.entries(payload.tracks || {}).forEach(([trackId, stats]) => {
+      listeningStats.set(trackId, normalizeStats(stats));
+    });
+  } catch (err) {
+    console.warn("[listening-stats] Failed to read listening stats:", err.message);
+  }
+};
+
+/** Stored and exported form. */
+export const getStatsSnapshot = () => ({
+  version: STATS_VERSION,
+  album: album.id,
+  tracks: Object.fromEntries(
+    [...listeningStats].map(([trackId, stats]) => [
+      trackId,
+      {
+        forward: Math.round(stats.forward * 10) / 10,
+        reversed: Math.round(stats.reversed * 10) / 10,
+        maxSpeed: Math.round(stats.maxSpeed * 100) / 100,
+        completion: Math.round(stats.completion * 1000) / 1000,
+        restarts: stats.restarts,
+      },
+    ]),
+  ),
+});
+
+export const saveListeningStats = () => {
+  try {
+    localStorage.setItem(getStatsKey(), JSON.stringify(getStatsSnapshot()));
+  } catch (err) {
+    console.warn("[listening-stats] Failed to save listening stats:", err.message);
+  }
+};
+
+/** Pretty-printed JSON for a downloadable stats file. */
+export const statsToFileContent = () => JSON.stringify(getStatsSnapshot(), null, 2);
+
+/**
+ * Records one track's listening until `dispose` is called.
+ * @param {string} trackId
+ * @param {HTMLAudioElement} audio
+ * @returns {{hooks: object, addForward: function(number): void, dispose: function(): void}}
+ *   `hooks` goes to `createHourglassPlayer`, `addForward` to `trackListening` as its callback
+ */
+export const createStatsRecorder = (trackId, audio) => {
+  const stats = getTrackStats(trackId);
+  let hasEnded = false;
+
+  /** Seconds of forward playback, one stretch per play–pause. */
+  const addForward = (seconds) => {
+    stats.forward += toNonNegative(seconds);
+    saveListeningStats();
+  };
+
+  const handlePlay = () => {
+    if (hasEnded) stats.restarts += 1;
+    hasEnded = false;
+  };
+  const handleEnded = () => {
+    hasEnded = true;
+    stats.completion = 1;
+    saveListeningStats();
+  };
+  const handleTimeUpdate = () => {
+    if (!audio.paused && audio.duration && Number.isFinite(audio.duration)) {
+      stats.completion = Math.max(
+        stats.completion,
+        Math.min(1, audio.currentTime / audio.duration),
+      );
+    }
+  };
+
+  audio.addEventListener("play", handlePlay);
+  audio.addEventListener("ended", handleEnded);
+  audio.addEventListener("timeupdate", handleTimeUpdate);
+
+  const hooks = {
+    /** Seconds of reversed playback since the last frame. */
+    onReverse: (seconds) => {
+      stats.reversed += toNonNegative(seconds);
+    },
+    /** Absolute playback speed while audio plays. */
+    onSpeed: (speed) => {
+      stats.maxSpeed = Math.max(stats.maxSpeed, toNonNegative(speed));
+    },
+    onRestart: () => {
+      stats.restarts += 1;
+      hasEnded = false;
+    },
+  };
+
+  const dispose = () => {
+    audio.removeEventListener("play", handlePlay);
+    audio.removeEventListener("ended", handleEnded);
+    audio.removeEventListener("timeupdate", handleTimeUpdate);
+    saveListeningStats();
+  };
+
+  return { hooks, addForward, dispose };
+};
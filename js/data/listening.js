@@ -0,0 +1,54 @@
+/**
+ * @module data/listening
+ * Time spent listening to each territory's track, in seconds, saved with the journey.
+ * Counted while the track's audio element plays; reversed hourglass playback is not included.
+ */
+
+/** State id -> seconds listened. */
+export const listeningTime = new Map();
+
+export const addListeningTime = (stateId, seconds) => {
+  if (!Number.isFinite(seconds) || seconds <= 0) return;
+  const id = String(stateId);
+  listeningTime.set(id, (listeningTime.get(id) || 0) + seconds);
+};
+
+export const getListeningSnapshot = () => Object.fromEntries(listeningTime);
+
+export const restoreListening = (snapshot) => {
+  listeningTime.clear();
+  Object.entries(snapshot || {}).forEach(([stateId, seconds]) =>
+    addListeningTime(stateId, seconds),
+  );
+};
+
+/**
+ * Counts `audio`'s playing time towards `stateId` until the returned function is called.
+ * @param {HTMLAudioElement} audio
+ * @param {string} stateId
+ * @param {function(number): void} [onChange] - Called with the seconds of each stretch of
+ *   listening added
+ * @returns {function(): void} Stops tracking, counting any stretch still playing
+ */
+export const trackListening = (audio, stateId, onChange) => {
+  let startedAt = audio.paused ? null : performance.now();
+  const start = () => {
+    if (startedAt === null) startedAt = performance.now();
+  };
+  const stop = () => {
+    if (startedAt === null) return;
+    const seconds = (performance.now() - startedAt) / 1000;
+    addListeningTime(stateId, seconds);
+    startedAt = null;
+    onChange?.(seconds);
+  };
+  audio.addEventListener("play", start);
+  audio.addEventListener("pause", stop);
+  audio.addEventListener("ended", stop);
+  return () => {
+    stop();
+    audio.removeEventListener("play", start);
+    audio.removeEventListener("pause", stop);
+    audio.removeEventListener("ended", stop);
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * @module data/narrative
+ * Narrative state: flags set by tarot answers, the `when` conditions tracks.json uses to test
+ * them (with the fog), and the conditional text they unlock.
+ *
+ * A conditional text is a string, `{ "text": "...", "when": {...} }`, or a list of those where
+ * the first match wins:
+ *
+ *   "hourglassText": [{ "text": "Le vélo t'attend.", "when": { "flags": { "bicycle": true } } }, "…"]
+ */
+
+import { explorationOrder, explorationTrails, isStateRevealed, revealedStates } from "./fog.js";
+
+export const CONDITION_KEYS = [
+  "revealed",
+  "notRevealed",
+  "minRevealed",
+  "maxRevealed",
+  "flags",
+  "notFlags",
+  "order",
+  "shape",
+];
+
+/** `shape` values: "linear" when every discovery started from the previous one. */
+export const TRAIL_SHAPES = ["linear", "branching"];
+
+/** Flag name -> value (string, number or boolean), set by answered choices. */
+export const narrativeFlags = new Map();
+
+export const isFlagValue = (value) => ["string", "number", "boolean"].includes(typeof value);
+const isFlagSet = (flags, name) => flags.has(name) && flags.get(name) !== false;
+
+/** Apply a choice's `set` object. */
+export const setFlags = (set) => {
+  Object.entries(set || {}).forEach(([name, value]) => {
+    if (isFlagValue(value)) narrativeFlags.set(name, value);
+  });
+};
+
+export const getFlagSnapshot = () => Object.fromEntries(narrativeFlags);
+
+export const restoreFlags = (flags) => {
+  narrativeFlags.clear();
+  setFlags(flags);
+};
+
+/** Live journey state that conditions are evaluated against. */
+export const getNarrativeContext = () => ({
+  isRevealed: isStateRevealed,
+  revealedCount: revealedStates.size,
+  flags: narrativeFlags,
+  order: explorationOrder,
+  trails: explorationTrails,
+});
+
+/** The listed states were all discovered, in this relative order. */
+const isInOrder = (ids, order) => {
+  let last = -1;
+  return ids.every((id) => {
+    const index = order.indexOf(String(id));
+    if (index <= last) return false;
+    last = index;
+    return true;
+  });
+};
+
+const getTrailShape = (trails) =>
+  trails.every((trail, i) => i === 0 || trail.from === trails[i - 1].to) ? "linear" : "branching";
+
+/**
+ * Every key of `when` must hold. `flags` compares values (`true` also matches any set
+ * flag other than `false`); `notFlags` lists flags that must be unset or false; `order`
+ * lists states discovered in that order; `shape` is one of TRAIL_SHAPES.
+ * @param {object|null} when
+ * @param {object} context - See `getNarrativeContext`
+ */
+export const matchesCondition = (
+  when,
+  { isRevealed, revealedCount, flags = new Map(), order = [], trails = [] },
+) => {
+  if (!when) return true;
+  if (when.revealed && !when.revealed.every((id) => isRevealed(String(id)))) return false;
+  if (when.notRevealed && when.notRevealed.some((id) => isRevealed(String(id)))) return false;
+  if (when.minRevealed !== undefined && revealedCount < when.minRevealed) return false;
+  if (when.maxRevealed !== undefined && revealedCount > when.maxRevealed) return false;
+  if (when.flags) {
+    const allMatch = Object.entries(when.flags).every(([name, expected]) => {
+      if (typeof expected === "boolean") return isFlagSet(flags, name) === expected;
+      return flags.get(name) === expected;
+    });
+    if (!allMatch) return false;
+  }
+  if (when.notFlags && when.notFlags.some((name) => isFlagSet(flags, name))) return false;
+  if (when.order && !isInOrder(when.order, order)) return false;
+  if (when.shape && getTrailShape(trails) !== when.shape) return false;
+  return true;
+};
+
+/**
+ * @param {string|object|Array} value - Conditional text
+ * @param {object} [context]
+ * @returns {string} The first matching text, or "" when none applies
+ */
+export const resolveText = (value, context = getNarrativeContext()) => {
+  const variants = Array.isArray(value) ? value : [value];
+  for (const variant of variants) {
+    if (typeof variant === "string") return variant;
+    if (variant && typeof variant.text === "string" && matchesCondition(variant.when, context)) {
+      return variant.text;
+    }
+  }
+  return "";
+};
+
+/**
+ * Narrative paragraphs whose condition holds.
+ * @param {Array<string|object>} lines - A track's `narrative`
+ * @param {object} [context]
+ * @returns {string[]}
+ */
+export const resolveLines = (lines = [], context = getNarrativeContext()) =>
+  lines.map((line) => resolveText(line, context)).filter(Boolean);
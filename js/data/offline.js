@@ -0,0 +1,136 @@
+/**
+ * @module data/offline
+ * Service worker registration with an update handshake, and the opt-in album download: every
+ * track file into the cache the worker serves offline audio from, plus the artwork the worker
+ * otherwise only caches as it is shown.
+ */
+
+import { DEV_MODE } from "../core/constants.js";
+
+// Must match AUDIO_CACHE in sw.js.
+export const AUDIO_CACHE_NAME = "ataraxie-audio-v1";
+const SERVICE_WORKER_URL = "sw.js";
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+/** Artwork is tens of megabytes: generous, but the download UI must not wait forever. */
+const ASSET_DOWNLOAD_TIMEOUT = 10 * 60 * 1000;
+
+export const isOfflineSupported = () => "serviceWorker" in navigator && "caches" in window;
+
+/**
+ * Local development serves files straight from disk, so the worker (and its cache-first
+ * shell) only runs on deployed hosts unless `?sw` is in the URL.
+ */
+const shouldRegister = () =>
+  isOfflineSupported() &&
+  !DEV_MODE &&
+  (!LOCAL_HOSTS.includes(location.hostname) || new URLSearchParams(location.search).has("sw"));
+
+/**
+ * @param {object} [options]
+ * @param {function} [options.onUpdateReady] - Receives `applyUpdate()`, which activates the
+ *   waiting worker and reloads the page once it takes control
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerServiceWorker = async ({ onUpdateReady } = {}) => {
+  if (!shouldRegister()) return null;
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  } catch (err) {
+    console.warn("[offline] Service worker registration failed:", err.message);
+    return null;
+  }
+
+  let updating = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updating) location.reload();
+  });
+
+  const offerUpdate = (worker) => {
+    onUpdateReady?.(() => {
+      updating = true;
+      worker.postMessage({ type: "skip-waiting" });
+    });
+  };
+
+  // Only an existing controller means this is an update rather than the first install.
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    offerUpdate(registration.waiting);
+  }
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        offerUpdate(worker);
+      }
+    });
+  });
+  return registration;
+};
+
+/**
+ * @param {string[]} urls - Audio file URLs
+ * @returns {Promise<number>} How many are already stored for offline listening
+ */
+export const countOfflineAudio = async (urls) => {
+  if (!isOfflineSupported()) return 0;
+  const cache = await caches.open(AUDIO_CACHE_NAME);
+  const matches = await Promise.all(urls.map((url) => cache.match(url)));
+  return matches.filter(Boolean).length;
+};
+
+/**
+ * Downloads files one at a time (albums are large; parallel fetches stall slow links).
+ * @param {string[]} urls - Audio file URLs
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - (done, total) after each file
+ * @returns {Promise<{total: number, failed: string[]}>}
+ */
+export const downloadOfflineAudio = async (urls, { onProgress } = {}) => {
+  const cache = await caches.open(AUDIO_CACHE_NAME);
+  const failed = [];
+  let done = 0;
+  for (const url of urls) {
+    if (!(await cache.match(url))) {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await cache.put(url, response);
+      } catch (err) {
+        console.warn(`[offline] Failed to download ${url}:`, err.message);
+        failed.push(url);
+      }
+    }
+    done += 1;
+    onProgress?.(done, urls.length);
+  }
+  return { total: urls.length, failed };
+};
+
+/**
+ * Asks the active worker to cache all artwork (textures, images, characters).
+ * @returns {Promise<{failed: string[]}>} Asset URLs that could not be cached; none when no
+ *   worker controls the page, as there is then nothing to serve them offline. Rejects when
+ *   the worker is replaced before it answers, or does not answer in time
+ */
+export const downloadOfflineAssets = () => {
+  const worker = isOfflineSupported() ? navigator.serviceWorker.controller : null;
+  if (!worker) return Promise.resolve({ failed: [] });
+  let cleanup = () => {};
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const handleControllerChange = () => reject(new Error("service worker replaced"));
+    const timer = setTimeout(
+      () => reject(new Error("service worker did not answer")),
+      ASSET_DOWNLOAD_TIMEOUT,
+    );
+    cleanup = () => {
+      clearTimeout(timer);
+      navigator.serviceWorker.removeEventListener("controllerchange", handleControllerChange);
+      channel.port1.close();
+    };
+    navigator.serviceWorker.addEventListener("controllerchange", handleControllerChange);
+    channel.port1.onmessage = (event) => resolve({ failed: event.data?.failed || [] });
+    worker.postMessage({ type: "cache-assets" }, [channel.port2]);
+  }).finally(() => cleanup());
+};
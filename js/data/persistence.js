@@ -0,0 +1,119 @@
+/**
+ * @module data/persistence
+ * Versioned localStorage snapshot of a journey: fog, trails and answered tarot cards.
+ * The same schema backs exported journey files and share codes, which also carry
+ * the optional `selectedCharacter`. `seed` (core/random) makes the journey reproducible and
+ * `flags` holds the narrative flags set by answers (data/narrative); `ending` is the id of the
+ * ending the run unlocked (data/endings); `listening` the seconds spent on each track
+ * (data/listening).
+ */
+
+import { album } from "./album.js";
+import { normalizeSeed } from "../core/random.js";
+import { isFlagValue } from "./narrative.js";
+
+export const JOURNEY_SCHEMA_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a payload from version n to version n + 1.
+const MIGRATIONS = {};
+
+const toIdList = (value) => (Array.isArray(value) ? value.map(String) : []);
+
+const normalizeFlags = (flags) => {
+  if (!flags || typeof flags !== "object" || Array.isArray(flags)) return {};
+  return Object.fromEntries(Object.entries(flags).filter(([, value]) => isFlagValue(value)));
+};
+
+const normalizeListening = (listening) => {
+  if (!listening || typeof listening !== "object" || Array.isArray(listening)) return {};
+  return Object.fromEntries(
+    Object.entries(listening)
+      .filter(([, seconds]) => Number.isFinite(seconds) && seconds > 0)
+      .map(([stateId, seconds]) => [String(stateId), Math.round(seconds)]),
+  );
+};
+
+const normalizeAnswer = (answer) => {
+  if (!answer || typeof answer !== "object" || answer.chosen === undefined) return null;
+  return {
+    option1: String(answer.option1 ?? answer.chosen),
+    option2: String(answer.option2 ?? answer.option1 ?? answer.chosen),
+    chosen: String(answer.chosen),
+    chosenLabel: typeof answer.chosenLabel === "string" ? answer.chosenLabel : "",
+  };
+};
+
+const normalizeJourney = (payload) => {
+  const answeredQuestions = {};
+  Object.entries(payload.answeredQuestions || {}).forEach(([stateId, answer]) => {
+    const normalized = normalizeAnswer(answer);
+    if (normalized) answeredQuestions[String(stateId)] = normalized;
+  });
+  return {
+    version: JOURNEY_SCHEMA_VERSION,
+    revealedStates: toIdList(payload.revealedStates),
+    questionedStates: toIdList(payload.questionedStates),
+    explorationTrails: (Array.isArray(payload.explorationTrails) ? payload.explorationTrails : [])
+      .filter((trail) => trail && trail.from !== undefined && trail.to !== undefined)
+      .map(({ from, to }) => ({ from: String(from), to: String(to) })),
+    explorationOrder: toIdList(payload.explorationOrder),
+    answeredQuestions,
+    selectedCharacter:
+      typeof payload.selectedCharacter === "string" ? payload.selectedCharacter : null,
+    seed: normalizeSeed(payload.seed),
+    flags: normalizeFlags(payload.flags),
+    ending: typeof payload.ending === "string" && payload.ending ? payload.ending : null,
+    listening: normalizeListening(payload.listening),
+  };
+};
+
+/**
+ * Bring a stored payload up to the current schema.
+ * @returns {object|null} Normalised journey, or null when the payload is unusable
+ */
+export const migrateJourney = (payload) => {
+  if (!payload || typeof payload !== "object") return null;
+  let version = Number(payload.version);
+  if (!Number.isInteger(version) || version < 1 || version > JOURNEY_SCHEMA_VERSION) return null;
+  let journey = payload;
+  while (version < JOURNEY_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) return null;
+    journey = migrate(journey);
+    version += 1;
+  }
+  return normalizeJourney(journey);
+};
+
+/**
+ * Build the current-version payload from live journey state.
+ * @param {object} journey - Fog snapshot plus `answeredQuestions` (Map or plain object)
+ */
+export const serializeJourney = (journey) => {
+  const answers =
+    journey.answeredQuestions instanceof Map
+      ? Object.fromEntries(journey.answeredQuestions)
+      : journey.answeredQuestions;
+  return normalizeJourney({ ...journey, answeredQuestions: answers });
+};
+
+export const loadJourney = () => {
+  try {
+    const raw = localStorage.getItem(album.storageKey);
+    if (!raw) return null;
+    const journey = migrateJourney(JSON.parse(raw));
+    if (!journey) console.warn("[persistence] Discarding unreadable saved journey");
+    return journey;
+  } catch (err) {
+    console.warn("[persistence] Failed to read saved journey:", err.message);
+    return null;
+  }
+};
+
+export const saveJourney = (journey) => {
+  try {
+    localStorage.setItem(album.storageKey, JSON.stringify(serializeJourney(journey)));
+  } catch (err) {
+    console.warn("[persistence] Failed to save journey:", err.message);
+  }
+};
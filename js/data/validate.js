@@ -0,0 +1,482 @@
+/**
+ * @module data/validate
+ * Schema checks for the album manifest, tracks, sigils and GeoJSON payloads and their
+ * cross-references.
+ * Validators return `{ source, path, message }` issues; an empty list means valid.
+ */
+
+import { getTextureIndexForState } from "../core/constants.js";
+import { album } from "./album.js";
+import { FALLBACK_RULES } from "./branching.js";
+import { CONDITION_KEYS, TRAIL_SHAPES, isFlagValue } from "./narrative.js";
+
+const MAX_CHOICES = 2;
+const MAX_ISSUES = 25;
+const GEOMETRY_TYPES = ["Polygon", "MultiPolygon"];
+const LINE_TYPES = ["LineString", "MultiLineString"];
+const STATE_ID_CONDITIONS = ["revealed", "notRevealed", "order"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+const keyPath = (base, key) => `${base}[${JSON.stringify(String(key))}]`;
+
+export const formatIssue = ({ source, path, message }) => `${source} ${path}: ${message}`;
+
+export class DataValidationError extends Error {
+  /**
+   * @param {Array<{source: string, path: string, message: string}>} issues
+   */
+  constructor(issues) {
+    const lines = issues.map((issue) => `  ${formatIssue(issue)}`);
+    super(
+      `Invalid data (${issues.length} issue${issues.length > 1 ? "s" : ""}):\n${lines.join("\n")}`,
+    );
+    this.name = "DataValidationError";
+    this.issues = issues;
+  }
+}
+
+const createCollector = (source) => {
+  const issues = [];
+  const add = (path, message) => {
+    if (issues.length < MAX_ISSUES) issues.push({ source, path, message });
+  };
+  return {
+    issues,
+    add,
+    get full() {
+      return issues.length >= MAX_ISSUES;
+    },
+  };
+};
+
+const checkOptionalString = (add, value, path) => {
+  if (value !== undefined && typeof value !== "string") add(path, "must be a string");
+};
+
+const checkStringList = (add, value, path, { required = false } = {}) => {
+  if (value === undefined && !required) return;
+  if (!Array.isArray(value) || (required && value.length === 0)) {
+    add(path, required ? "must be a non-empty array of strings" : "must be an array of strings");
+    return;
+  }
+  value.forEach((item, i) => {
+    if (!isNonEmptyString(item)) add(`${path}[${i}]`, "must be a non-empty string");
+  });
+};
+
+const isStateIdList = (value) =>
+  Array.isArray(value) && value.every((id) => isNonEmptyString(id) || Number.isInteger(id));
+
+const isFlagMap = (value) => isObject(value) && Object.values(value).every(isFlagValue);
+
+/** `when` conditions (see data/narrative). */
+const checkCondition = (add, when, path) => {
+  if (!isObject(when)) {
+    add(path, "must be an object");
+    return;
+  }
+  Object.entries(when).forEach(([key, value]) => {
+    const conditionPath = `${path}.${key}`;
+    if (!CONDITION_KEYS.includes(key)) {
+      add(conditionPath, `unknown condition, expected one of ${CONDITION_KEYS.join(", ")}`);
+    } else if (STATE_ID_CONDITIONS.includes(key)) {
+      if (!isStateIdList(value)) add(conditionPath, "must be an array of state ids");
+    } else if (key === "flags") {
+      if (!isFlagMap(value))
+        add(conditionPath, "must map flag names to strings, numbers or booleans");
+    } else if (key === "notFlags") {
+      if (!Array.isArray(value) || !value.every(isNonEmptyString)) {
+        add(conditionPath, "must be an array of flag names");
+      }
+    } else if (key === "shape") {
+      if (!TRAIL_SHAPES.includes(value))
+        add(conditionPath, `must be one of ${TRAIL_SHAPES.join(", ")}`);
+    } else if (!Number.isInteger(value) || value < 0) {
+      add(conditionPath, "must be a non-negative integer");
+    }
+  });
+};
+
+/** A string, `{ text, when? }`, or a list of those (first match wins). */
+const checkConditionalText = (add, value, path) => {
+  if (typeof value === "string") return;
+  const variants = Array.isArray(value) ? value : [value];
+  variants.forEach((variant, i) => {
+    const variantPath = Array.isArray(value) ? `${path}[${i}]` : path;
+    if (typeof variant === "string") return;
+    if (!isObject(variant) || typeof variant.text !== "string") {
+      add(variantPath, "must be a string or an object with a `text` string");
+      return;
+    }
+    if (variant.when !== undefined) checkCondition(add, variant.when, `${variantPath}.when`);
+  });
+};
+
+/** A choice is its label, or `{ text, targets?, when?, fallback?, set? }` (see data/branching). */
+const checkChoice = (add, choice, path) => {
+  if (typeof choice === "string") {
+    if (!isNonEmptyString(choice)) add(path, "must be a non-empty string");
+    return;
+  }
+  if (!isObject(choice)) {
+    add(path, "must be a string or an object with `text`");
+    return;
+  }
+  if (typeof choice.text === "string") {
+    if (!isNonEmptyString(choice.text)) add(`${path}.text`, "must be a non-empty string");
+  } else {
+    checkConditionalText(add, choice.text, `${path}.text`);
+  }
+  if (choice.targets !== undefined && !isStateIdList(choice.targets)) {
+    add(`${path}.targets`, "must be an array of state ids");
+  }
+  if (choice.fallback !== undefined && !FALLBACK_RULES.includes(choice.fallback)) {
+    add(`${path}.fallback`, `must be one of ${FALLBACK_RULES.join(", ")}`);
+  }
+  if (choice.when !== undefined) checkCondition(add, choice.when, `${path}.when`);
+  if (choice.set !== undefined && !isFlagMap(choice.set)) {
+    add(`${path}.set`, "must map flag names to strings, numbers or booleans");
+  }
+};
+
+const isLocalizedText = (value) =>
+  isObject(value) && Object.keys(value).length > 0 && Object.values(value).every(isNonEmptyString);
+
+/** `endings`: `{ id, when?, text?, bark?, image? }`, first match wins (see data/endings). */
+const checkEndings = (add, endings) => {
+  if (!Array.isArray(endings)) {
+    add("$.endings", "must be an array of endings");
+    return;
+  }
+  const ids = new Set();
+  endings.forEach((ending, i) => {
+    const path = `$.endings[${i}]`;
+    if (!isObject(ending)) {
+      add(path, "must be an object with an `id`");
+      return;
+    }
+    if (!isNonEmptyString(ending.id)) add(`${path}.id`, "must be a non-empty string");
+    else if (ids.has(ending.id)) add(`${path}.id`, `duplicate ending "${ending.id}"`);
+    ids.add(ending.id);
+    ["text", "bark"].forEach((key) => {
+      if (ending[key] !== undefined && !isLocalizedText(ending[key])) {
+        add(`${path}.${key}`, "must map language codes to non-empty strings");
+      }
+    });
+    checkOptionalString(add, ending.image, `${path}.image`);
+    if (ending.when !== undefined) checkCondition(add, ending.when, `${path}.when`);
+  });
+};
+
+/**
+ * @param {object} payload - Parsed album manifest (data/albums/<volume>.json)
+ * @param {string} source - File name used in issue paths
+ */
+export const validateAlbum = (payload, source = "album.json") => {
+  const { issues, add } = createCollector(source);
+  if (!isObject(payload)) {
+    add("$", "must be an object");
+    return issues;
+  }
+  if (!isNonEmptyString(payload.id)) add("$.id", "must be a non-empty string");
+  if (!isNonEmptyString(payload.geojson)) add("$.geojson", "must be a non-empty path string");
+  if (!isObject(payload.tracks) || Object.keys(payload.tracks).length === 0) {
+    add("$.tracks", "must map at least one language code to a tracks file");
+  } else {
+    Object.entries(payload.tracks).forEach(([lang, url]) => {
+      if (!isNonEmptyString(url)) add(keyPath("$.tracks", lang), "must be a non-empty path string");
+    });
+  }
+  checkOptionalString(add, payload.title, "$.title");
+  checkOptionalString(add, payload.rivers, "$.rivers");
+  checkOptionalString(add, payload.sigils, "$.sigils");
+  checkOptionalString(add, payload.storageKey, "$.storageKey");
+  checkStringList(add, payload.textures, "$.textures", { required: true });
+  checkStringList(add, payload.versoImages, "$.versoImages");
+  if (payload.finale !== undefined) {
+    if (!isObject(payload.finale)) {
+      add("$.finale", "must be an object with `penultimate` and `final` state ids");
+    } else {
+      ["penultimate", "final"].forEach((key) =>
+        checkOptionalString(add, payload.finale[key], `$.finale.${key}`),
+      );
+    }
+  }
+  if (payload.palette !== undefined) {
+    if (!isObject(payload.palette)) {
+      add("$.palette", "must be an object with `ocean` and `states` colors");
+    } else {
+      checkOptionalString(add, payload.palette.ocean, "$.palette.ocean");
+      checkStringList(add, payload.palette.states, "$.palette.states");
+    }
+  }
+  if (payload.endings !== undefined) checkEndings(add, payload.endings);
+  return issues;
+};
+
+/**
+ * @param {object} payload - Parsed tracks.json
+ * @param {string} source - File name used in issue paths
+ */
+export const validateTracks = (payload, source = "tracks.json") => {
+  const { issues, add } = createCollector(source);
+  if (!isObject(payload)) {
+    add("$", "must be an object with `tracks` and `states`");
+    return issues;
+  }
+  const trackIds = new Set();
+  if (!Array.isArray(payload.tracks)) {
+    add("$.tracks", "must be an array");
+  } else {
+    payload.tracks.forEach((track, i) => {
+      const path = `$.tracks[${i}]`;
+      if (!isObject(track)) {
+        add(path, "must be an object");
+        return;
+      }
+      if (!isNonEmptyString(track.id)) {
+        add(`${path}.id`, "must be a non-empty string");
+      } else if (trackIds.has(track.id)) {
+        add(`${path}.id`, `duplicate track id "${track.id}"`);
+      } else {
+        trackIds.add(track.id);
+      }
+      if (!isNonEmptyString(track.title)) add(`${path}.title`, "must be a non-empty string");
+      if (!isNonEmptyString(track.file)) add(`${path}.file`, "must be a non-empty string");
+      if (track.bpm !== undefined && !(typeof track.bpm === "number" && track.bpm > 0)) {
+        add(`${path}.bpm`, "must be a positive number");
+      }
+      ["playLabel", "bandcamp", "soundcloud", "instagram"].forEach((key) =>
+        checkOptionalString(add, track[key], `${path}.${key}`),
+      );
+      if (track.hourglassText !== undefined) {
+        checkConditionalText(add, track.hourglassText, `${path}.hourglassText`);
+      }
+      if (track.narrative !== undefined) {
+        if (!Array.isArray(track.narrative)) {
+          add(`${path}.narrative`, "must be an array of strings");
+        } else {
+          track.narrative.forEach((line, j) =>
+            checkConditionalText(add, line, `${path}.narrative[${j}]`),
+          );
+        }
+      }
+      if (track.choices !== undefined) {
+        if (!Array.isArray(track.choices)) {
+          add(`${path}.choices`, "must be an array");
+        } else {
+          if (track.choices.length > MAX_CHOICES) {
+            add(
+              `${path}.choices`,
+              `must have at most ${MAX_CHOICES} entries, found ${track.choices.length}`,
+            );
+          }
+          track.choices.forEach((choice, j) => checkChoice(add, choice, `${path}.choices[${j}]`));
+        }
+      }
+    });
+  }
+  if (!isObject(payload.states)) {
+    add("$.states", "must be an object mapping state ids to track ids");
+  } else {
+    Object.entries(payload.states).forEach(([stateId, trackId]) => {
+      const path = keyPath("$.states", stateId);
+      if (!isNonEmptyString(trackId)) {
+        add(path, "must be a track id string");
+      } else if (Array.isArray(payload.tracks) && !trackIds.has(trackId)) {
+        add(path, `unknown track id "${trackId}"`);
+      }
+    });
+  }
+  return issues;
+};
+
+/**
+ * @param {object} payload - Parsed sigils.json (`{ states: {...} }` or a bare map)
+ * @param {string} source - File name used in issue paths
+ */
+export const validateSigils = (payload, source = "sigils.json") => {
+  const { issues, add } = createCollector(source);
+  if (!isObject(payload)) {
+    add("$", "must be an object");
+    return issues;
+  }
+  const hasStates = payload.states !== undefined;
+  if (hasStates && !isObject(payload.states)) {
+    add("$.states", "must be an object mapping state ids to sigil paths");
+    return issues;
+  }
+  const entries = hasStates ? payload.states : payload;
+  Object.entries(entries).forEach(([stateId, href]) => {
+    if (!isNonEmptyString(href)) {
+      add(keyPath(hasStates ? "$.states" : "$", stateId), "must be a non-empty path string");
+    }
+  });
+  return issues;
+};
+
+/**
+ * @param {object} payload - Parsed GeoJSON FeatureCollection of map cells
+ * @param {string} source - File name used in issue paths
+ */
+export const validateGeoJSON = (payload, source = "geojson") => {
+  const collector = createCollector(source);
+  const { issues, add } = collector;
+  if (!isObject(payload)) {
+    add("$", "must be a GeoJSON object");
+    return issues;
+  }
+  if (payload.type !== "FeatureCollection") add("$.type", 'must be "FeatureCollection"');
+  if (!Array.isArray(payload.features) || payload.features.length === 0) {
+    add("$.features", "must be a non-empty array");
+    return issues;
+  }
+  for (let i = 0; i < payload.features.length && !collector.full; i += 1) {
+    const feature = payload.features[i];
+    const path = `$.features[${i}]`;
+    if (!isObject(feature)) {
+      add(path, "must be a Feature object");
+      continue;
+    }
+    const geometry = feature.geometry;
+    if (!isObject(geometry) || !GEOMETRY_TYPES.includes(geometry.type)) {
+      add(`${path}.geometry.type`, `must be one of ${GEOMETRY_TYPES.join(", ")}`);
+    } else if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+      add(`${path}.geometry.coordinates`, "must be a non-empty array");
+    }
+    const properties = feature.properties;
+    if (!isObject(properties)) {
+      add(`${path}.properties`, "must be an object");
+      continue;
+    }
+    const state = Number(properties.state);
+    if (!Number.isInteger(state) || state < 0) {
+      add(`${path}.properties.state`, "must be a non-negative integer");
+    }
+    if (properties.id === undefined) add(`${path}.properties.id`, "is required");
+    if (properties.neighbors !== undefined && !Array.isArray(properties.neighbors)) {
+      add(`${path}.properties.neighbors`, "must be an array of cell ids");
+    }
+  }
+  return issues;
+};
+
+/**
+ * @param {object} payload - Parsed GeoJSON FeatureCollection of river lines
+ * @param {string} source - File name used in issue paths
+ */
+export const validateRivers = (payload, source = "rivers") => {
+  const collector = createCollector(source);
+  const { issues, add } = collector;
+  if (!isObject(payload) || payload.type !== "FeatureCollection") {
+    add("$.type", 'must be "FeatureCollection"');
+    return issues;
+  }
+  if (!Array.isArray(payload.features)) {
+    add("$.features", "must be an array");
+    return issues;
+  }
+  for (let i = 0; i < payload.features.length && !collector.full; i += 1) {
+    const feature = payload.features[i];
+    const path = `$.features[${i}]`;
+    const geometry = feature?.geometry;
+    if (!isObject(geometry) || !LINE_TYPES.includes(geometry.type)) {
+      add(`${path}.geometry.type`, `must be one of ${LINE_TYPES.join(", ")}`);
+    } else if (!Array.isArray(geometry.coordinates)) {
+      add(`${path}.geometry.coordinates`, "must be an array");
+    }
+    ["discharge", "width", "widthFactor"].forEach((key) => {
+      const value = feature?.properties?.[key];
+      if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+        add(`${path}.properties.${key}`, "must be a non-negative number");
+      }
+    });
+  }
+  return issues;
+};
+
+/**
+ * Every non-ocean state in the GeoJSON needs a track, a sigil and an album texture.
+ * Payloads that were not configured (null) are skipped.
+ * @param {object} payloads
+ * @param {object} payloads.geojson
+ * @param {object|null} payloads.tracks
+ * @param {object|null} payloads.sigils
+ * @param {object} [sources] - File names for tracks, sigils and album issue paths
+ */
+export const validateReferences = (
+  { geojson, tracks, sigils },
+  sources = { tracks: "tracks.json", sigils: "sigils.json", album: "album.json" },
+) => {
+  const issues = [];
+  const stateIds = new Set();
+  geojson.features.forEach((feature) => {
+    const stateId = String(feature.properties?.state ?? "0");
+    if (stateId !== "0") stateIds.add(stateId);
+  });
+  const sigilEntries = sigils && (isObject(sigils.states) ? sigils.states : sigils);
+  const sigilBase = sigils && isObject(sigils.states) ? "$.states" : "$";
+  Array.from(stateIds)
+    .sort((a, b) => Number(a) - Number(b))
+    .forEach((stateId) => {
+      if (tracks && !tracks.states?.[stateId]) {
+        issues.push({
+          source: sources.tracks,
+          path: keyPath("$.states", stateId),
+          message: `missing track for map state ${stateId}`,
+        });
+      }
+      if (sigilEntries && !sigilEntries[stateId]) {
+        issues.push({
+          source: sources.sigils,
+          path: keyPath(sigilBase, stateId),
+          message: `missing sigil for map state ${stateId}`,
+        });
+      }
+      const textureIndex = getTextureIndexForState(stateId);
+      if (!album.textures[textureIndex]) {
+        issues.push({
+          source: sources.album,
+          path: `$.textures[${textureIndex}]`,
+          message: `missing texture for map state ${stateId}`,
+        });
+      }
+    });
+  const checkConditionStates = (when, path, source) => {
+    STATE_ID_CONDITIONS.forEach((key) => {
+      const ids = Array.isArray(when?.[key]) ? when[key] : [];
+      ids.forEach((id, k) => {
+        if (!stateIds.has(String(id))) {
+          issues.push({
+            source,
+            path: `${path}.when.${key}[${k}]`,
+            message: `unknown map state ${id}`,
+          });
+        }
+      });
+    });
+  };
+  // Author-defined tarot targets must name map states
+  (Array.isArray(tracks?.tracks) ? tracks.tracks : []).forEach((track, i) => {
+    (Array.isArray(track?.choices) ? track.choices : []).forEach((choice, j) => {
+      if (!isObject(choice)) return;
+      const path = `$.tracks[${i}].choices[${j}]`;
+      const targets = Array.isArray(choice.targets) ? choice.targets : [];
+      targets.forEach((id, k) => {
+        if (!stateIds.has(String(id))) {
+          issues.push({
+            source: sources.tracks,
+            path: `${path}.targets[${k}]`,
+            message: `unknown map state ${id}`,
+          });
+        }
+      });
+      checkConditionStates(choice.when, path, sources.tracks);
+    });
+  });
+  album.endings.forEach((ending, i) => {
+    checkConditionStates(ending?.when, `$.endings[${i}]`, sources.album);
+  });
+  return issues.slice(0, MAX_ISSUES);
+};
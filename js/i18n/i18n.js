@@ -14,6 +14,131 @@ const STRINGS = {
     en: "This project accompanies the release of the compilation from the Parisian neo-label Ataraxie\u00a0: <em>My Land is Eating my Territory</em>.",
   },
   "about.changeCharacter": { fr: "Changer de personnage", en: "Change character" },
+  "journey.export": { fr: "Exporter le voyage", en: "Export journey" },
+  "journey.import": { fr: "Importer un voyage", en: "Import journey" },
+  "journey.share": { fr: "Copier le lien du voyage", en: "Copy journey link" },
+  "journey.seed": { fr: "Graine du voyage\u202f: ${seed}", en: "Journey seed: ${seed}" },
+  "journey.copied": { fr: "Lien copi\u00e9\u202f!", en: "Link copied!" },
+  "journey.replaceConfirm": {
+    fr: "Remplacer ton voyage en cours par celui de ce lien\u202f?",
+    en: "Replace your current journey with the one from this link?",
+  },
+  "journey.importError": {
+    fr: "Ce fichier n\u2019est pas un voyage valide.",
+    en: "This file is not a valid journey.",
+  },
+  "playback.idle": { fr: "Rien ne joue", en: "Nothing playing" },
+  "playback.mode.label": { fr: "Mode album", en: "Album mode" },
+  "playback.mode.off": { fr: "D\u00e9sactiv\u00e9", en: "Off" },
+  "playback.mode.exploration": { fr: "Ordre d\u2019exploration", en: "Exploration order" },
+  "playback.mode.tracklist": { fr: "Ordre de l\u2019album", en: "Album order" },
+  "playback.crossfade": { fr: "Fondu encha\u00een\u00e9", en: "Crossfade" },
+  "playback.crossfade.value": { fr: "${seconds}\u00a0s", en: "${seconds}s" },
+  "map.a11y.label": { fr: "Carte des territoires", en: "Map of the territories" },
+  "map.a11y.state": { fr: "${title}, ${artist}", en: "${title}, ${artist}" },
+  "map.a11y.fogged": { fr: "Territoire inexplor\u00e9", en: "Unexplored territory" },
+  "map.a11y.unknown": { fr: "Territoire ${id}", en: "Territory ${id}" },
+  "keys.title": { fr: "Raccourcis clavier", en: "Keyboard shortcuts" },
+  "keys.hint": {
+    fr: "Clique sur une touche pour la changer.",
+    en: "Click a key to change it.",
+  },
+  "keys.press": { fr: "Appuie sur une touche\u2026", en: "Press a key\u2026" },
+  "keys.change": { fr: "Changer la touche\u202f: ${action}", en: "Change key: ${action}" },
+  "keys.swapped": {
+    fr: "Touches \u00e9chang\u00e9es avec \u00ab\u00a0${action}\u00a0\u00bb.",
+    en: "Keys swapped with \u201c${action}\u201d.",
+  },
+  "keys.reset": { fr: "R\u00e9tablir les touches", en: "Reset keys" },
+  "keys.resetDone": { fr: "Touches r\u00e9tablies.", en: "Keys reset." },
+  "keys.map.next": {
+    fr: "Territoire r\u00e9v\u00e9l\u00e9 suivant",
+    en: "Next revealed territory",
+  },
+  "keys.map.previous": {
+    fr: "Territoire r\u00e9v\u00e9l\u00e9 pr\u00e9c\u00e9dent",
+    en: "Previous revealed territory",
+  },
+  "keys.state.enter": { fr: "Entrer dans le territoire", en: "Enter the territory" },
+  "keys.state.leave": { fr: "Revenir \u00e0 la carte", en: "Back to the map" },
+  "keys.hourglass.play": { fr: "Lecture / pause", en: "Play / pause" },
+  "keys.hourglass.clockwise": {
+    fr: "Tourner le sablier d\u2019un quart (sens horaire)",
+    en: "Turn the hourglass a quarter clockwise",
+  },
+  "keys.hourglass.counterclockwise": {
+    fr: "Tourner le sablier d\u2019un quart (sens antihoraire)",
+    en: "Turn the hourglass a quarter counterclockwise",
+  },
+  "keys.hourglass.boost": { fr: "Secouer le sablier (x2)", en: "Shake the hourglass (x2)" },
+  "keys.hourglass.loopStart": {
+    fr: "Placer le d\u00e9but de la boucle (A)",
+    en: "Set the loop start (A)",
+  },
+  "keys.hourglass.loopEnd": { fr: "Placer la fin de la boucle (B)", en: "Set the loop end (B)" },
+  "keys.hourglass.loopClear": { fr: "Retirer la boucle", en: "Clear the loop" },
+  "keys.tarot.flip": { fr: "Retourner la carte suivante", en: "Flip the next card" },
+  "keys.tarot.confirm": { fr: "Choisir la carte retourn\u00e9e", en: "Pick the flipped card" },
+  "keys.help": { fr: "Afficher cette aide", en: "Show this help" },
+  "text.toggle": { fr: "Texte", en: "Text" },
+  "text.title": { fr: "Le voyage, en texte", en: "The journey, as text" },
+  "text.intro": {
+    fr: "Le m\u00eame voyage que sur la carte\u202f: \u00e9coute chaque territoire, puis tire une carte pour d\u00e9couvrir le suivant.",
+    en: "The same journey as on the map: listen to each territory, then draw a card to discover the next one.",
+  },
+  "text.audio": { fr: "Lecture", en: "Playback" },
+  "text.audio.seek": { fr: "Position", en: "Position" },
+  "text.audio.time": { fr: "${current} sur ${duration}", en: "${current} of ${duration}" },
+  "text.audio.speed": { fr: "Vitesse", en: "Speed" },
+  "text.audio.reverse": { fr: "\u00c0 rebours", en: "Reverse" },
+  "text.audio.reverseUnavailable": {
+    fr: "\u00c0 rebours indisponible",
+    en: "Reverse unavailable",
+  },
+  "text.choose": { fr: "Tirer cette carte", en: "Draw this card" },
+  "text.answered": { fr: "Carte tir\u00e9e\u202f: ${label}", en: "Card drawn: ${label}" },
+  "text.goTo": { fr: "Aller \u00e0 ${title}", en: "Go to ${title}" },
+  "text.revealed": {
+    fr: "Nouveau territoire d\u00e9couvert\u202f: ${title}",
+    en: "New territory discovered: ${title}",
+  },
+  "text.finish": { fr: "Achever le voyage", en: "End the journey" },
+  "text.places": { fr: "Lieux d\u00e9couverts", en: "Places discovered" },
+  "stats.title": { fr: "Ton \u00e9coute", en: "Your listening" },
+  "stats.export": { fr: "Exporter les statistiques", en: "Export stats" },
+  "stats.empty": {
+    fr: "Aucun morceau \u00e9cout\u00e9 pour l\u2019instant.",
+    en: "No track listened to yet.",
+  },
+  "stats.detail": {
+    fr: "${forward} en avant \u00b7 ${reversed} \u00e0 rebours \u00b7 \u00d7${speed} max \u00b7 ${completion}\u00a0% \u00b7 ${restarts} red\u00e9marrage(s)",
+    en: "${forward} forward \u00b7 ${reversed} reversed \u00b7 \u00d7${speed} max \u00b7 ${completion}% \u00b7 ${restarts} restart(s)",
+  },
+  "offline.download": {
+    fr: "T\u00e9l\u00e9charger l\u2019album hors ligne",
+    en: "Download album for offline",
+  },
+  "offline.progress": {
+    fr: "T\u00e9l\u00e9chargement ${current}/${total}\u2026",
+    en: "Downloading ${current}/${total}\u2026",
+  },
+  "offline.ready": {
+    fr: "Album disponible hors ligne.",
+    en: "Album available offline.",
+  },
+  "offline.partial": {
+    fr: "${count} fichier(s) n\u2019ont pas pu \u00eatre t\u00e9l\u00e9charg\u00e9s.",
+    en: "${count} file(s) could not be downloaded.",
+  },
+  "offline.error": {
+    fr: "Le t\u00e9l\u00e9chargement a \u00e9chou\u00e9.",
+    en: "The download failed.",
+  },
+  "update.available": {
+    fr: "Une nouvelle version de la carte est disponible.",
+    en: "A new version of the map is available.",
+  },
+  "update.reload": { fr: "Recharger", en: "Reload" },
   "about.madeBy": {
     fr: 'Site cr\u00e9\u00e9 et open sourc\u00e9 par <a href="https://instagram.com/rax_mou" target="_blank" rel="noopener noreferrer">rax</a>',
     en: 'Website created & open sourced by <a href="https://instagram.com/rax_mou" target="_blank" rel="noopener noreferrer">rax</a>',
@@ -79,11 +204,44 @@ const STRINGS = {
     en: "There is nothing left here. What was above is now below. A few colors linger, forming shapes that you struggle to make out. The journey is ending. It has left you with a throbbing in your temples and a slight shiver. In this final ether, where only your thoughts still anchor you, you let yourself drift, caught up in memories of the road that has come to an end. Where there is nothing, all that remains is introspection. You let it sink in. The journey is over.",
   },
   "finale.close": { fr: "Fermer", en: "Close" },
+  "finale.recap": { fr: "Ton voyage", en: "Your journey" },
+  "finale.recap.open": { fr: "Retourner \u00e0 ${title}", en: "Return to ${title}" },
+  "finale.recap.card": { fr: "Carte\u202f: ${label}", en: "Card: ${label}" },
+  "finale.recap.listened": { fr: "Temps d\u2019\u00e9coute", en: "Time listened" },
+  "finale.recap.unknown": { fr: "Territoire ${id}", en: "Territory ${id}" },
   "error.title": { fr: "Erreur", en: "Error" },
   "error.body": {
     fr: "Impossible de charger les donn\u00e9es.",
     en: "Could not load map data.",
   },
+  "error.invalidData": {
+    fr: "Les fichiers de donn\u00e9es contiennent des erreurs\u202f:",
+    en: "The data files contain errors:",
+  },
+  "map.mode.label": { fr: "Vue", en: "View" },
+  "map.mode.textures": { fr: "Textures", en: "Textures" },
+  "map.mode.elevation": { fr: "Relief", en: "Elevation" },
+  "map.mode.biome": { fr: "Biomes", en: "Biomes" },
+  "map.mode.culture": { fr: "Cultures", en: "Cultures" },
+  "map.mode.religion": { fr: "Religions", en: "Religions" },
+  "map.mode.population": { fr: "Population", en: "Population" },
+  "map.legend.meters": { fr: "${value}\u202fm", en: "${value} m" },
+  "map.legend.people": { fr: "${value} hab.", en: "${value} people" },
+  "map.legend.culture": { fr: "Culture ${id}", en: "Culture ${id}" },
+  "map.legend.religion": { fr: "Religion ${id}", en: "Religion ${id}" },
+  "map.legend.none": { fr: "Aucune", en: "None" },
+  "map.biome.1": { fr: "D\u00e9sert chaud", en: "Hot desert" },
+  "map.biome.2": { fr: "D\u00e9sert froid", en: "Cold desert" },
+  "map.biome.3": { fr: "Savane", en: "Savanna" },
+  "map.biome.4": { fr: "Prairie", en: "Grassland" },
+  "map.biome.5": { fr: "For\u00eat tropicale s\u00e8che", en: "Tropical seasonal forest" },
+  "map.biome.6": { fr: "For\u00eat temp\u00e9r\u00e9e", en: "Temperate deciduous forest" },
+  "map.biome.7": { fr: "For\u00eat tropicale humide", en: "Tropical rainforest" },
+  "map.biome.8": { fr: "For\u00eat pluviale temp\u00e9r\u00e9e", en: "Temperate rainforest" },
+  "map.biome.9": { fr: "Ta\u00efga", en: "Taiga" },
+  "map.biome.10": { fr: "Toundra", en: "Tundra" },
+  "map.biome.11": { fr: "Glacier", en: "Glacier" },
+  "map.biome.12": { fr: "Zone humide", en: "Wetland" },
   "state.noState": { fr: "Aucun \u00e9tat sp\u00e9cifi\u00e9", en: "No state specified" },
   "state.noStateBody": {
     fr: "Ajoute ?state=&lt;id&gt; dans l\u2019URL.",
@@ -154,10 +312,19 @@ export const t = (key, vars) => {
 
 export const getDragPhrases = () => (getLang() === "en" ? DRAG_PHRASES_EN : DRAG_PHRASES_FR);
 
-export const getTracksUrl = (baseUrl) => {
-  if (!baseUrl || getLang() !== "en") return baseUrl;
-  return baseUrl.replace(/tracks\.json$/, "tracks-en.json");
-};
+/**
+ * Picks the current language's entry from a `{ fr, en, ... }` map, falling back to French,
+ * then to whichever locale the map provides.
+ * @param {Object<string, *>} byLang
+ */
+export const pickLocalized = (byLang = {}) =>
+  byLang[getLang()] ?? byLang.fr ?? Object.values(byLang)[0] ?? null;
+
+/**
+ * Picks the tracks file for the current language from an album's `tracks` map.
+ * @param {Object<string, string>} tracksByLang
+ */
+export const getTracksUrl = (tracksByLang = {}) => pickLocalized(tracksByLang);
 
 export const applyStaticTranslations = () => {
   document.documentElement.lang = getLang();
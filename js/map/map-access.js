@@ -0,0 +1,155 @@
+/**
+ * @module map/map-access
+ * Keyboard and screen-reader access to the map. Each land state gets one focusable cell,
+ * labelled with its track once revealed and announced as unexplored while fogged; the map is
+ * a single tab stop that remembers the last focused state. Arrow keys move to the nearest
+ * neighbouring state in that direction, Enter or Space opens a revealed one.
+ */
+
+import { t } from "../i18n/i18n.js";
+import { getNeighbors } from "../data/fog.js";
+
+const DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+};
+
+/**
+ * @param {object} deps
+ * @param {SVGSVGElement} deps.svg
+ * @param {Map<string, SVGPathElement[]>} deps.stateCells - State id -> its cells
+ * @param {function(string): {x: number, y: number}|null} deps.getCentroid
+ * @param {function(string): string|null} [deps.getStateLabel] - Accessible name when revealed
+ * @param {function(string|null): void} [deps.onFocusState] - Focus entered or left the map
+ * @param {function(string): void} [deps.onSelectState]
+ */
+export const createMapAccess = ({
+  svg,
+  stateCells,
+  getCentroid,
+  getStateLabel,
+  onFocusState,
+  onSelectState,
+}) => {
+  const targets = new Map(); // state id -> focusable cell
+  let revealed = new Set();
+  let tabStopId = null;
+
+  stateCells.forEach((cells, stateId) => {
+    if (stateId === "0" || !cells.length) return;
+    const cell = cells[0];
+    cell.setAttribute("role", "button");
+    cell.setAttribute("tabindex", "-1");
+    targets.set(stateId, cell);
+  });
+
+  const setTabStop = (stateId) => {
+    if (!targets.has(stateId) || stateId === tabStopId) return;
+    targets.get(tabStopId)?.setAttribute("tabindex", "-1");
+    targets.get(stateId).setAttribute("tabindex", "0");
+    tabStopId = stateId;
+  };
+
+  const getStateIdFromTarget = (target) => {
+    const stateId = target?.dataset?.state;
+    return stateId && targets.get(stateId) === target ? stateId : null;
+  };
+
+  /** Nearest neighbour in `direction`; states off the arrow's axis count as further away. */
+  const findNeighbour = (stateId, direction) => {
+    const from = getCentroid(stateId);
+    if (!from) return null;
+    let best = null;
+    let bestScore = Infinity;
+    getNeighbors(stateId).forEach((neighbourId) => {
+      const to = targets.has(neighbourId) ? getCentroid(neighbourId) : null;
+      if (!to) return;
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const along = dx * direction.x + dy * direction.y;
+      if (along <= 0) return;
+      const across = Math.abs(dx * direction.y - dy * direction.x);
+      const score = Math.hypot(dx, dy) + across;
+      if (score < bestScore) {
+        bestScore = score;
+        best = neighbourId;
+      }
+    });
+    return best;
+  };
+
+  /**
+   * Moves keyboard focus to a state's cell.
+   * @returns {boolean} False when the state has no focusable cell
+   */
+  const focusStateCell = (stateId) => {
+    const cell = targets.get(String(stateId));
+    if (!cell) return false;
+    setTabStop(String(stateId));
+    cell.focus({ preventScroll: true });
+    return true;
+  };
+
+  const handleKeydown = (event) => {
+    const stateId = getStateIdFromTarget(event.target);
+    if (!stateId || event.ctrlKey || event.metaKey || event.altKey) return;
+    const direction = DIRECTIONS[event.key];
+    if (direction) {
+      event.preventDefault();
+      const next = findNeighbour(stateId, direction);
+      if (next) focusStateCell(next);
+    } else if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      if (revealed.has(stateId)) onSelectState?.(stateId);
+    }
+  };
+
+  const handleFocusIn = (event) => {
+    const stateId = getStateIdFromTarget(event.target);
+    if (!stateId) return;
+    setTabStop(stateId);
+    onFocusState?.(stateId);
+  };
+
+  const handleFocusOut = (event) => {
+    if (getStateIdFromTarget(event.target)) onFocusState?.(null);
+  };
+
+  /** Relabels every state for the current fog; call whenever a state is revealed. */
+  const applyFog = (revealedStates) => {
+    revealed = revealedStates;
+    targets.forEach((cell, stateId) => {
+      const isRevealed = revealedStates.has(stateId);
+      const label = isRevealed
+        ? getStateLabel?.(stateId) || t("map.a11y.unknown", { id: stateId })
+        : t("map.a11y.fogged");
+      cell.setAttribute("aria-label", label);
+      cell.setAttribute("aria-disabled", String(!isRevealed));
+    });
+    if (!tabStopId) {
+      setTabStop([...targets.keys()].find((stateId) => revealedStates.has(stateId)));
+    }
+  };
+
+  svg.addEventListener("keydown", handleKeydown);
+  svg.addEventListener("focusin", handleFocusIn);
+  svg.addEventListener("focusout", handleFocusOut);
+
+  const dispose = () => {
+    svg.removeEventListener("keydown", handleKeydown);
+    svg.removeEventListener("focusin", handleFocusIn);
+    svg.removeEventListener("focusout", handleFocusOut);
+  };
+
+  return {
+    applyFog,
+    focusStateCell,
+    dispose,
+    /** State holding the map's tab stop. */
+    get tabStopStateId() {
+      return tabStopId;
+    },
+  };
+};
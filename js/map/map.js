@@ -5,7 +5,10 @@
 
 import { forEachCoordinate, geometryToPath } from "./geometry.js";
 import { buildStateEdgeCounts, computeStateOutlines } from "./outline.js";
-import { SVG_NS, TEXTURE_FILES, getTextureIndexForState } from "../core/constants.js";
+import { SVG_NS, getTextureIndexForState } from "../core/constants.js";
+import { album } from "../data/album.js";
+import { createRiverLayer } from "./rivers.js";
+import { createMapAccess } from "./map-access.js";
 
 const goldenAngle = 137.508;
 
@@ -34,7 +37,25 @@ export const createStateColor = (options = {}) => {
   };
 };
 
-export const createMap = ({ svg, geojson, colorForState }) => {
+/**
+ * @param {object} options
+ * @param {SVGSVGElement} options.svg
+ * @param {object} options.geojson
+ * @param {function(string, boolean): string} options.colorForState
+ * @param {object} [options.rivers]
+ * @param {function(string): string|null} [options.getStateLabel] - Name of a revealed state
+ * @param {function(string|null): void} [options.onFocusState] - Keyboard focus moved on the map
+ * @param {function(string): void} [options.onSelectState] - Enter on a revealed state
+ */
+export const createMap = ({
+  svg,
+  geojson,
+  colorForState,
+  rivers = null,
+  getStateLabel,
+  onFocusState,
+  onSelectState,
+}) => {
   if (!svg || !geojson) {
     return {
       fullViewBox: null,
@@ -53,7 +74,7 @@ export const createMap = ({ svg, geojson, colorForState }) => {
   baseGroup.appendChild(defs);
 
   // Create all texture patterns upfront (6 patterns shared by all states)
-  TEXTURE_FILES.forEach((texture, i) => {
+  album.textures.forEach((texture, i) => {
     const pattern = document.createElementNS(SVG_NS, "pattern");
     pattern.setAttribute("id", `texture-${i}`);
     pattern.setAttribute("patternUnits", "userSpaceOnUse");
@@ -88,7 +109,10 @@ export const createMap = ({ svg, geojson, colorForState }) => {
   const trailGroup = document.createElementNS(SVG_NS, "g");
   trailGroup.setAttribute("id", "map-trails");
 
+  const riverLayer = createRiverLayer({ rivers, geojson });
+
   baseGroup.appendChild(cellGroup);
+  baseGroup.appendChild(riverLayer.group); // Rivers above cells, below borders
   svg.appendChild(baseGroup);
   svg.appendChild(trailGroup);
   svg.appendChild(focusGroup);
@@ -102,7 +126,9 @@ export const createMap = ({ svg, geojson, colorForState }) => {
     maxY: -Infinity,
   };
   const stateBounds = new Map();
+  const stateCoordSums = new Map(); // state id -> { x, y, count }, for centroids
   const stateCells = new Map();
+  const landCells = [];
   const snapshotCache = new Map();
   const maxSnapshotCacheSize = 24;
   let activeNodes = [];
@@ -127,6 +153,11 @@ export const createMap = ({ svg, geojson, colorForState }) => {
     if (y < state.minY) state.minY = y;
     if (x > state.maxX) state.maxX = x;
     if (y > state.maxY) state.maxY = y;
+    const sum = stateCoordSums.get(stateId) ?? { x: 0, y: 0, count: 0 };
+    sum.x += x;
+    sum.y += y;
+    sum.count += 1;
+    stateCoordSums.set(stateId, sum);
   };
 
   const edgeMap = new Map();
@@ -193,6 +224,7 @@ export const createMap = ({ svg, geojson, colorForState }) => {
 
     if (!stateCells.has(stateId)) stateCells.set(stateId, []);
     stateCells.get(stateId).push(path);
+    if (!isOcean) landCells.push({ stateId, pathData, properties });
 
     fragment.appendChild(path);
   });
@@ -234,6 +266,12 @@ export const createMap = ({ svg, geojson, colorForState }) => {
     });
   };
 
+  /** Hover outline on one state only, e.g. for keyboard navigation. */
+  const highlightState = (stateId) => {
+    clearHover();
+    highlightStateBorder(stateId, true);
+  };
+
   const handleHover = (event, isHover) => {
     if (svg.classList.contains("is-collapsed")) return;
     let node = event.target;
@@ -422,6 +460,21 @@ export const createMap = ({ svg, geojson, colorForState }) => {
     const height = bounds.maxY - bounds.minY || 1;
     fullViewBox = { x: bounds.minX, y: bounds.minY, width, height };
   }
+  /** Mean of a state's vertices, its centre for arrow-key navigation. */
+  const getStateCentroid = (stateId) => {
+    const sum = stateCoordSums.get(String(stateId));
+    return sum?.count ? { x: sum.x / sum.count, y: sum.y / sum.count } : null;
+  };
+
+  const access = createMapAccess({
+    svg,
+    stateCells,
+    getCentroid: getStateCentroid,
+    getStateLabel,
+    onFocusState,
+    onSelectState,
+  });
+
   const applyFog = (revealedStates) => {
     stateCells.forEach((cells, stateId) => {
       const isRevealed = revealedStates.has(stateId);
@@ -437,6 +490,8 @@ export const createMap = ({ svg, geojson, colorForState }) => {
         path.classList.toggle("is-fogged", !allRevealed);
       });
     });
+    riverLayer.applyFog(revealedStates);
+    access.applyFog(revealedStates);
   };
 
   const getSharedBorderMidpoint = (stateA, stateB) => {
@@ -465,12 +520,16 @@ export const createMap = ({ svg, geojson, colorForState }) => {
   return {
     fullViewBox,
     getStateBounds,
+    getStateCentroid,
     setActiveState,
     focusState,
     resetFocus,
     createSnapshot,
     clearSnapshot,
     clearHover,
+    highlightState,
+    focusStateCell: access.focusStateCell,
+    getTabStopState: () => access.tabStopStateId,
     preloadSnapshots,
     applyFog,
     getFocusLayer: () => focusGroup,
@@ -478,5 +537,8 @@ export const createMap = ({ svg, geojson, colorForState }) => {
     getTrailLayer: () => trailGroup,
     getSharedBorderMidpoint,
     getStateOutlines: () => stateOutlines,
+    /** Land cells with their source properties, for thematic views: [{ stateId, pathData, properties }] */
+    getLandCells: () => landCells,
+    getRiversForState: riverLayer.getRiversForState,
   };
 };
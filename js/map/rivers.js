@@ -0,0 +1,178 @@
+/**
+ * @module map/rivers
+ * River network layer: splits river lines into per-state runs so fog can hide them,
+ * and exposes those runs for the 3D state mesh.
+ */
+
+import { SVG_NS } from "../core/constants.js";
+import { geometryToLinePath } from "./geometry.js";
+
+/** Rivers are resampled at this spacing (map units) before being split by state. */
+const SAMPLE_STEP = 0.75;
+const LOCATOR_BUCKET = 4;
+const MIN_STROKE = 0.05;
+/** Fallback when a river has no `width`: discharge (m³/s) → stroke width. */
+const DISCHARGE_WIDTH_SCALE = 0.012;
+
+/**
+ * Stroke width in map units, from the river's own width or, failing that, its discharge.
+ * @param {object} properties - River feature properties
+ * @returns {number}
+ */
+export const getRiverWidth = (properties = {}) => {
+  const factor = Number(properties.widthFactor) || 1;
+  const width = Number(properties.width);
+  if (Number.isFinite(width) && width > 0) return Math.max(MIN_STROKE, width * factor);
+  const discharge = Number(properties.discharge);
+  if (Number.isFinite(discharge) && discharge > 0) {
+    return Math.max(MIN_STROKE, Math.sqrt(discharge) * DISCHARGE_WIDTH_SCALE * factor);
+  }
+  return MIN_STROKE;
+};
+
+const pointInRing = (x, y, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+const getOuterRings = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return [geometry.coordinates[0] || []];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.map((p) => p[0] || []);
+  return [];
+};
+
+/**
+ * Bucketed point-in-cell lookup over the map's cells.
+ * @returns {function(number, number): string|null} (x, y) -> stateId
+ */
+const createStateLocator = (geojson) => {
+  const buckets = new Map();
+  const bucketKey = (bx, by) => `${bx},${by}`;
+  geojson.features.forEach((feature) => {
+    const stateId = String(feature.properties?.state ?? "0");
+    getOuterRings(feature.geometry).forEach((ring) => {
+      if (!ring.length) return;
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      ring.forEach(([x, y]) => {
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+      });
+      const entry = { ring, stateId };
+      const [bx0, bx1] = [minX, maxX].map((v) => Math.floor(v / LOCATOR_BUCKET));
+      const [by0, by1] = [minY, maxY].map((v) => Math.floor(v / LOCATOR_BUCKET));
+      for (let bx = bx0; bx <= bx1; bx += 1) {
+        for (let by = by0; by <= by1; by += 1) {
+          const key = bucketKey(bx, by);
+          if (!buckets.has(key)) buckets.set(key, []);
+          buckets.get(key).push(entry);
+        }
+      }
+    });
+  });
+  return (x, y) => {
+    const candidates =
+      buckets.get(bucketKey(Math.floor(x / LOCATOR_BUCKET), Math.floor(y / LOCATOR_BUCKET))) || [];
+    const hit = candidates.find((entry) => pointInRing(x, y, entry.ring));
+    return hit ? hit.stateId : null;
+  };
+};
+
+const getLines = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === "LineString") return [geometry.coordinates];
+  if (geometry.type === "MultiLineString") return geometry.coordinates;
+  return [];
+};
+
+/**
+ * Splits a line into runs of consecutive samples inside the same state. Runs share their
+ * boundary sample so adjacent states' segments meet without a gap.
+ */
+const splitLineByState = (line, locate) => {
+  const runs = [];
+  let current = null;
+  const pushSample = (point) => {
+    const stateId = locate(point[0], point[1]);
+    if (current && current.stateId === stateId) {
+      current.coords.push(point);
+      return;
+    }
+    if (current) current.coords.push(point);
+    current = { stateId, coords: [point] };
+    runs.push(current);
+  };
+  for (let i = 0; i < line.length - 1; i += 1) {
+    const [x0, y0] = line[i];
+    const [x1, y1] = line[i + 1];
+    const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / SAMPLE_STEP));
+    for (let s = 0; s < steps; s += 1) {
+      const t = s / steps;
+      pushSample([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+    }
+  }
+  if (line.length) pushSample(line[line.length - 1]);
+  return runs.filter((run) => run.stateId && run.stateId !== "0" && run.coords.length > 1);
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.rivers - GeoJSON FeatureCollection of LineString rivers
+ * @param {object} options.geojson - Map cells, used to assign river runs to states
+ * @returns {{group: SVGGElement, applyFog: function, getRiversForState: function}}
+ */
+export const createRiverLayer = ({ rivers, geojson }) => {
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("id", "map-rivers");
+  const runsByState = new Map();
+  const pathsByState = new Map();
+  if (!rivers?.features?.length || !geojson) {
+    return { group, applyFog: () => {}, getRiversForState: () => [] };
+  }
+
+  const locate = createStateLocator(geojson);
+  const fragment = document.createDocumentFragment();
+  rivers.features.forEach((feature) => {
+    const properties = feature.properties || {};
+    const width = getRiverWidth(properties);
+    getLines(feature.geometry).forEach((line) => {
+      splitLineByState(line, locate).forEach(({ stateId, coords }) => {
+        const run = { name: properties.name || "", width, coords };
+        if (!runsByState.has(stateId)) runsByState.set(stateId, []);
+        runsByState.get(stateId).push(run);
+
+        const path = document.createElementNS(SVG_NS, "path");
+        path.setAttribute("d", geometryToLinePath({ type: "LineString", coordinates: coords }));
+        path.setAttribute("stroke-width", width.toFixed(3));
+        path.classList.add("river", "is-fogged");
+        path.dataset.state = stateId;
+        if (!pathsByState.has(stateId)) pathsByState.set(stateId, []);
+        pathsByState.get(stateId).push(path);
+        fragment.appendChild(path);
+      });
+    });
+  });
+  group.appendChild(fragment);
+
+  const applyFog = (revealedStates) => {
+    pathsByState.forEach((paths, stateId) => {
+      const isRevealed = revealedStates.has(stateId);
+      paths.forEach((path) => path.classList.toggle("is-fogged", !isRevealed));
+    });
+  };
+
+  /** River runs inside a state, in map coordinates: [{ name, width, coords }] */
+  const getRiversForState = (stateId) => runsByState.get(String(stateId)) || [];
+
+  return { group, applyFog, getRiversForState };
+};
@@ -2,9 +2,11 @@
  * @module map/texture-canvas
  * Canvas-based texture renderer for state patchwork effect.
  * Renders textures clipped to state outlines, synced with SVG viewBox.
+ * Thematic views swap the textures for per-cell colours.
  */
 
-import { TEXTURE_FILES, getTextureIndexForState } from "../core/constants.js";
+import { getTextureIndexForState } from "../core/constants.js";
+import { album } from "../data/album.js";
 
 /**
  * Create a texture canvas renderer.
@@ -12,9 +14,10 @@ import { TEXTURE_FILES, getTextureIndexForState } from "../core/constants.js";
  * @param {HTMLElement} options.container - Container element (.map-pane)
  * @param {SVGElement} options.svg - The SVG element to sync viewBox with
  * @param {Map} options.stateOutlines - Map of stateId -> {pathData, rings, bounds}
+ * @param {Array} [options.landCells] - [{stateId, pathData, properties}] for thematic fills
  * @returns {Object} Canvas API
  */
-export const createTextureCanvas = ({ container, svg, stateOutlines }) => {
+export const createTextureCanvas = ({ container, svg, stateOutlines, landCells = [] }) => {
   const canvas = document.createElement("canvas");
   canvas.className = "texture-canvas";
   container.insertBefore(canvas, svg);
@@ -29,6 +32,8 @@ export const createTextureCanvas = ({ container, svg, stateOutlines }) => {
   let currentViewBox = null;
   let currentRevealedStates = new Set();
   let currentHoveredState = null;
+  // stateId -> Map(color -> Path2D) while a thematic view replaces the textures
+  let thematicFills = null;
 
   // Precomputed Path2D objects for each state
   const statePaths = new Map();
@@ -45,7 +50,7 @@ export const createTextureCanvas = ({ container, svg, stateOutlines }) => {
    * Load all texture images.
    */
   const loadTextures = async () => {
-    const promises = TEXTURE_FILES.map((url, index) => {
+    const promises = album.textures.map((url, index) => {
       return new Promise((resolve, reject) => {
         const img = new Image();
         img.onload = () => {
@@ -88,6 +93,47 @@ export const createTextureCanvas = ({ container, svg, stateOutlines }) => {
     return { x: parts[0], y: parts[1], width: parts[2], height: parts[3] };
   };
 
+  /**
+   * Fill a state's cells with their thematic colours. The same-colour stroke hides the
+   * hairline seams anti-aliasing leaves between adjacent cells.
+   */
+  const drawThematicState = (stateId, scale) => {
+    const fills = thematicFills.get(stateId);
+    if (!fills) return;
+    ctx.lineWidth = 1 / scale;
+    ctx.lineJoin = "round";
+    for (const [color, path] of fills) {
+      ctx.fillStyle = color;
+      ctx.strokeStyle = color;
+      ctx.fill(path);
+      ctx.stroke(path);
+    }
+  };
+
+  /**
+   * Switch between the state textures and a thematic view.
+   * @param {function(Object): string|null} [colorForCell] - Cell properties -> fill colour;
+   *   omit (or return null) to draw the textures
+   */
+  const setThematicFill = (colorForCell) => {
+    thematicFills = null;
+    if (colorForCell) {
+      const fills = new Map();
+      for (const { stateId, pathData, properties } of landCells) {
+        const color = colorForCell(properties);
+        if (!color) continue;
+        if (!fills.has(stateId)) fills.set(stateId, new Map());
+        const byColor = fills.get(stateId);
+        if (!byColor.has(color)) byColor.set(color, new Path2D());
+        byColor.get(color).addPath(new Path2D(pathData));
+      }
+      if (fills.size) thematicFills = fills;
+    }
+    if (currentViewBox) {
+      render(currentRevealedStates, currentViewBox);
+    }
+  };
+
   /**
    * Render textures for revealed states.
    * @param {Set} revealedStates - Set of revealed state IDs
@@ -177,10 +223,15 @@ export const createTextureCanvas = ({ container, svg, stateOutlines }) => {
     }
     ctx.restore();
 
-    // Draw textures for revealed states
+    // Draw textures (or the thematic cell colours) for revealed states
     for (const stateId of revealedStates) {
       if (stateId === "0") continue; // Skip ocean
 
+      if (thematicFills) {
+        drawThematicState(stateId, scale);
+        continue;
+      }
+
       const outline = stateOutlines.get(stateId);
       const path = statePaths.get(stateId);
       if (!outline || !path) continue;
@@ -273,6 +324,7 @@ export const createTextureCanvas = ({ container, svg, stateOutlines }) => {
     }
     textureImages.clear();
     statePaths.clear();
+    thematicFills = null;
   };
 
   // Set up resize observer
@@ -291,6 +343,7 @@ export const createTextureCanvas = ({ container, svg, stateOutlines }) => {
     render,
     syncWithSvg,
     setHoveredState,
+    setThematicFill,
     dispose,
     get texturesLoaded() {
       return texturesLoaded;
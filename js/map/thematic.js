@@ -0,0 +1,153 @@
+/**
+ * @module map/thematic
+ * Thematic map views built from per-cell data (height, biome, culture, religion, population):
+ * a colour per cell and a legend limited to what the revealed states contain.
+ */
+
+import { t } from "../i18n/i18n.js";
+
+export const DEFAULT_THEMATIC_MODE = "textures";
+export const THEMATIC_MODES = [
+  "textures",
+  "elevation",
+  "biome",
+  "culture",
+  "religion",
+  "population",
+];
+
+/** Biome palette indexed by the generator's biome id (0 is marine). */
+const BIOME_COLORS = [
+  "#466eab",
+  "#fbe79f",
+  "#b5b887",
+  "#d2d082",
+  "#c8d68f",
+  "#b6d95d",
+  "#29bc56",
+  "#7dcb35",
+  "#409c43",
+  "#4b6b32",
+  "#96784b",
+  "#d5e7eb",
+  "#0b9131",
+];
+const ELEVATION_RAMP = ["#3f5f2a", "#8a8f4a", "#8c6b3e", "#cfc2a8", "#f4f1e8"];
+const POPULATION_RAMP = ["#1b2212", "#4d5a17", "#9ccc00", "#e8ffb2"];
+const NO_CATEGORY_COLOR = "#3a3f33";
+const goldenAngle = 137.508;
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+/** Colour at `ratio` (0–1) along evenly spaced hex stops. */
+const rampColor = (stops, ratio) => {
+  const clamped = Math.min(1, Math.max(0, Number.isFinite(ratio) ? ratio : 0));
+  const position = clamped * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  const local = position - index;
+  const from = hexToRgb(stops[index]);
+  const to = hexToRgb(stops[index + 1]);
+  const rgb = from.map((c, i) => Math.round(c + (to[i] - c) * local));
+  return `rgb(${rgb.join(", ")})`;
+};
+
+/** Stable, well-spread hue per category id; 0 means "none" in the source data. */
+const categoryColor = (id) => {
+  if (!id) return NO_CATEGORY_COLOR;
+  return `hsl(${Math.round((id * goldenAngle) % 360)}, 45%, 52%)`;
+};
+
+/** Skewed values (a few peaks, many lowlands) read better on a square-root scale. */
+const createSqrtScale = (values) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = Math.sqrt(max - min) || 1;
+  return { min, max, ratio: (value) => Math.sqrt(Math.max(0, value - min)) / span };
+};
+
+const formatNumber = (value) => Math.round(value).toLocaleString(document.documentElement.lang);
+
+/**
+ * @param {Array<{stateId: string, properties: object}>} cells - Land cells from `createMap`
+ * @returns {{getColor: function(string, object): string|null, getLegend: function(string, Array): object|null}}
+ */
+export const createThematicScales = (cells) => {
+  const elevation = createSqrtScale(cells.map((cell) => Number(cell.properties.height) || 0));
+  const population = createSqrtScale(cells.map((cell) => Number(cell.properties.population) || 0));
+
+  const categorical = (property, label) => ({
+    color: (properties) => categoryColor(Number(properties[property]) || 0),
+    legend: (visibleCells) => {
+      const ids = new Set(visibleCells.map((cell) => Number(cell.properties[property]) || 0));
+      return {
+        type: "categories",
+        items: [...ids]
+          .sort((a, b) => a - b)
+          .map((id) => ({
+            color: categoryColor(id),
+            label: id ? t(label, { id }) : t("map.legend.none"),
+          })),
+      };
+    },
+  });
+
+  // Colours follow the whole map's range, so they stay put as states are revealed; the legend
+  // marks where the revealed cells sit on that ramp.
+  const gradient = (scale, ramp, unit) => {
+    const valueOf = (properties) => Number(properties[unit.property]) || 0;
+    const mark = (value) => ({
+      label: t(unit.label, { value: formatNumber(value) }),
+      position: Math.min(1, Math.max(0, scale.ratio(value))),
+    });
+    return {
+      color: (properties) => rampColor(ramp, scale.ratio(valueOf(properties))),
+      legend: (visibleCells) => {
+        if (!visibleCells.length) return null;
+        const values = visibleCells.map((cell) => valueOf(cell.properties));
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        return { type: "gradient", stops: ramp, min: mark(min), max: max > min ? mark(max) : null };
+      },
+    };
+  };
+
+  const modes = {
+    elevation: gradient(elevation, ELEVATION_RAMP, {
+      property: "height",
+      label: "map.legend.meters",
+    }),
+    biome: {
+      color: (properties) => BIOME_COLORS[Number(properties.biome)] ?? NO_CATEGORY_COLOR,
+      legend: (visibleCells) => {
+        const ids = new Set(visibleCells.map((cell) => Number(cell.properties.biome)));
+        return {
+          type: "categories",
+          items: [...ids]
+            .filter((id) => id > 0 && BIOME_COLORS[id])
+            .sort((a, b) => a - b)
+            .map((id) => ({ color: BIOME_COLORS[id], label: t(`map.biome.${id}`) })),
+        };
+      },
+    },
+    culture: categorical("culture", "map.legend.culture"),
+    religion: categorical("religion", "map.legend.religion"),
+    population: gradient(population, POPULATION_RAMP, {
+      property: "population",
+      label: "map.legend.people",
+    }),
+  };
+
+  /** Cell fill for a mode, or null for the default texture view. */
+  const getColor = (modeId, properties) => modes[modeId]?.color(properties) ?? null;
+
+  /**
+   * @param {string} modeId
+   * @param {Array} visibleCells - Cells of revealed states only, so fogged data stays hidden
+   */
+  const getLegend = (modeId, visibleCells) => modes[modeId]?.legend(visibleCells) ?? null;
+
+  return { getColor, getLegend };
+};
@@ -5,11 +5,18 @@
 
 import { getLang, setLang, t, applyStaticTranslations } from "./i18n/i18n.js";
 import { forEachCoordinate, geometryToPath } from "./map/geometry.js";
+import { loadAlbumManifest, loadGeoJSON } from "./data/data.js";
+import {
+  album,
+  applyAlbum,
+  getAlbumUrl,
+  getRequestedVolume,
+  VOLUME_QUERY_PARAM,
+} from "./data/album.js";
 
 const svg = document.getElementById("state-svg");
 const infoPane = document.getElementById("state-info");
 const content = document.getElementById("state-content");
-const geojsonPath = "Mia%20Cells%202025-12-23.geojson";
 
 const svgNS = "http://www.w3.org/2000/svg";
 
@@ -133,12 +140,17 @@ const init = async () => {
   }
   applyStaticTranslations();
 
+  const volume = params.get(VOLUME_QUERY_PARAM);
+  const backLink = document.querySelector(".back-link");
+  if (volume && backLink) {
+    backLink.href = `index.html?${new URLSearchParams({ [VOLUME_QUERY_PARAM]: volume })}`;
+  }
+
   try {
     // The `render` function will adopt any shared overlay from sessionStorage
     // directly into the page SVG for seamless page transitions.
-    const res = await fetch(geojsonPath);
-    if (!res.ok) throw new Error("failed to load geojson");
-    const geojson = await res.json();
+    applyAlbum(await loadAlbumManifest(getAlbumUrl(getRequestedVolume())));
+    const geojson = await loadGeoJSON(album.geojson);
     render(geojson, stateId);
 
     // Note: when a shared overlay is present for this state, `render` adopts it
@@ -1,10 +1,12 @@
 /**
  * @module three/three-mesh
- * Builds 3D state meshes from GeoJSON features with terrain grid and verso labels.
+ * Builds 3D state meshes from GeoJSON features with terrain grid, river channels and verso labels.
  */
 
-import { TEXTURE_FILES, getTextureIndexForState, VERSO_IMAGES } from "../core/constants.js";
+import { getTextureIndexForState } from "../core/constants.js";
+import { album } from "../data/album.js";
 import { hash2 } from "../core/utils.js";
+import { getRandom, pick } from "../core/random.js";
 
 const bgTextureCache = new Map();
 
@@ -13,7 +15,7 @@ export const loadBgTexture = (stateId, THREE) => {
   if (bgTextureCache.has(index)) return Promise.resolve(bgTextureCache.get(index));
   return new Promise((resolve) => {
     const loader = new THREE.TextureLoader();
-    const url = encodeURI(TEXTURE_FILES[index]);
+    const url = encodeURI(album.textures[index]);
     loader.load(
       url,
       (texture) => {
@@ -166,6 +168,55 @@ const getGeometryCellInfo = (geometry) => {
   };
 };
 
+// River channels are widened so the thinnest streams stay visible once the state is scaled down.
+const CHANNEL_WIDTH_SCALE = 3;
+const CHANNEL_MIN_WIDTH = 0.025;
+
+const distanceToSegment = (px, py, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (a.x + dx * t), py - (a.y + dy * t));
+};
+
+const distanceToChannel = (px, py, channel) => {
+  let min = Infinity;
+  for (let i = 0; i < channel.points.length - 1; i += 1) {
+    min = Math.min(min, distanceToSegment(px, py, channel.points[i], channel.points[i + 1]));
+  }
+  return min;
+};
+
+const offsetPolyline = (points, offset) =>
+  points.map((point, i) => {
+    const prev = points[Math.max(0, i - 1)];
+    const next = points[Math.min(points.length - 1, i + 1)];
+    const length = Math.hypot(next.x - prev.x, next.y - prev.y) || 1;
+    return {
+      x: point.x - ((next.y - prev.y) / length) * offset,
+      y: point.y + ((next.x - prev.x) / length) * offset,
+    };
+  });
+
+/** Flat ribbon between two banks, used as the floor of a carved river channel. */
+const buildChannelGeometry = (leftBank, rightBank, z, THREE) => {
+  const positions = [];
+  const indices = [];
+  leftBank.forEach((left, i) => {
+    const right = rightBank[i];
+    positions.push(left.x, left.y, z, right.x, right.y, z);
+    if (i > 0) {
+      const base = (i - 1) * 2;
+      indices.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+    }
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  return geometry;
+};
+
 /**
  * Build a 3D mesh for a state from GeoJSON features.
  * @param {string} stateId
@@ -175,9 +226,14 @@ const getGeometryCellInfo = (geometry) => {
  * @param {Map} deps.trackByState - stateId -> trackId map
  * @param {Map} deps.trackById - trackId -> track metadata map
  * @param {Function} deps.colorForState - stateId -> color string
+ * @param {Array} [deps.rivers] - River runs inside the state ({ width, coords } in map units)
  * @returns {THREE.Mesh|null}
  */
-export const buildStateMesh = (stateId, THREE, { geojsonData, trackByState, trackById, colorForState }) => {
+export const buildStateMesh = (
+  stateId,
+  THREE,
+  { geojsonData, trackByState, trackById, colorForState, rivers = [] },
+) => {
   if (!geojsonData) return null;
   const features = geojsonData.features.filter(
     (feature) => String((feature.properties || {}).state ?? "0") === String(stateId),
@@ -262,6 +318,52 @@ export const buildStateMesh = (stateId, THREE, { geojsonData, trackByState, trac
   });
   const mesh = new THREE.Mesh(geometry, [faceMaterial, sideMaterial]);
 
+  // River channels, in the same local space as the scaled state geometry
+  const channels = scaledBounds
+    ? rivers.map((river) => ({
+        points: river.coords.map(([x, y]) => ({
+          x: (x - centerX) * scale,
+          y: (-y - centerY) * scale,
+        })),
+        halfWidth: Math.max(river.width * scale * CHANNEL_WIDTH_SCALE, CHANNEL_MIN_WIDTH) / 2,
+      }))
+    : [];
+  let channelGroup = null;
+  if (channels.length) {
+    channelGroup = new THREE.Group();
+    channelGroup.renderOrder = 1;
+    const floorMaterial = new THREE.MeshBasicMaterial({
+      color: 0x0b0e07,
+      transparent: true,
+      opacity: 0.85,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+    });
+    const bankMaterial = new THREE.LineBasicMaterial({
+      color: 0xbdff00,
+      transparent: true,
+      opacity: 0.45,
+    });
+    const floorZ = scaledBounds.max.z + 0.004;
+    channels.forEach((channel) => {
+      const leftBank = offsetPolyline(channel.points, channel.halfWidth);
+      const rightBank = offsetPolyline(channel.points, -channel.halfWidth);
+      const floorGeometry = buildChannelGeometry(leftBank, rightBank, floorZ, THREE);
+      channelGroup.add(new THREE.Mesh(floorGeometry, floorMaterial));
+      [leftBank, rightBank].forEach((bank) => {
+        const bankGeometry = new THREE.BufferGeometry().setFromPoints(
+          bank.map((point) => new THREE.Vector3(point.x, point.y, floorZ)),
+        );
+        channelGroup.add(new THREE.Line(bankGeometry, bankMaterial));
+      });
+    });
+    mesh.add(channelGroup);
+  }
+  const isInChannel = (x, y, margin) =>
+    channels.some((channel) => distanceToChannel(x, y, channel) < channel.halfWidth + margin);
+
   let terrainGroup = null;
   const terrainData = [];
   let terrainBaseHeight = null;
@@ -301,6 +403,8 @@ export const buildStateMesh = (stateId, THREE, { geojsonData, trackByState, trac
       if (!shapesForCell.length) return;
       const x = (info.centroid.x - centerX) * scale;
       const y = (info.centroid.y - centerY) * scale;
+      // Cells the river runs through are left out of the terrain: the channel is carved
+      if (isInChannel(x, y, terrainSize * 0.5)) return;
       const xNorm = (x - minX) / terrainRangeX;
       const gridX = gridSize > 0 ? Math.round(x / gridSize) : 0;
       const gridY = gridSize > 0 ? Math.round(y / gridSize) : 0;
@@ -474,24 +578,28 @@ export const buildStateMesh = (stateId, THREE, { geojsonData, trackByState, trac
     mesh.add(backPlane);
     versoBackPlane = backPlane;
 
-    const imgFile = VERSO_IMAGES[Math.floor(Math.random() * VERSO_IMAGES.length)];
-    const imgLoader = new THREE.TextureLoader();
-    imgLoader.load("assets/images/" + imgFile, (imgTex) => {
-      imgTex.colorSpace = THREE.SRGBColorSpace;
-      const imgW = Math.min(sX, sY) * 0.5;
-      const aspect = imgTex.image.naturalHeight / imgTex.image.naturalWidth || 1;
-      const imgH = imgW * aspect;
-      const imgPlane = new THREE.Mesh(
-        new THREE.PlaneGeometry(imgW, imgH),
-        new THREE.MeshBasicMaterial({ map: imgTex, transparent: true, side: THREE.FrontSide }),
-      );
-      imgPlane.rotation.y = Math.PI;
-      const side = Math.random() < 0.5 ? -1 : 1;
-      imgPlane.position.x = side * (sX * 0.5 + imgW * 0.4 + Math.random() * sX * 0.2);
-      imgPlane.position.y = (Math.random() - 0.5) * sY * 0.8;
-      imgPlane.position.z = scaledBounds.min.z - 0.04;
-      mesh.add(imgPlane);
-    });
+    // Seeded per state so a journey's seed always pairs a state with the same image
+    const random = getRandom("verso", stateId);
+    const imgFile = pick(album.versoImages, random);
+    if (imgFile) {
+      const imgLoader = new THREE.TextureLoader();
+      imgLoader.load(imgFile, (imgTex) => {
+        imgTex.colorSpace = THREE.SRGBColorSpace;
+        const imgW = Math.min(sX, sY) * 0.5;
+        const aspect = imgTex.image.naturalHeight / imgTex.image.naturalWidth || 1;
+        const imgH = imgW * aspect;
+        const imgPlane = new THREE.Mesh(
+          new THREE.PlaneGeometry(imgW, imgH),
+          new THREE.MeshBasicMaterial({ map: imgTex, transparent: true, side: THREE.FrontSide }),
+        );
+        imgPlane.rotation.y = Math.PI;
+        const side = random() < 0.5 ? -1 : 1;
+        imgPlane.position.x = side * (sX * 0.5 + imgW * 0.4 + random() * sX * 0.2);
+        imgPlane.position.y = (random() - 0.5) * sY * 0.8;
+        imgPlane.position.z = scaledBounds.min.z - 0.04;
+        mesh.add(imgPlane);
+      });
+    }
   }
 
   mesh.rotation.x = -0.85;
@@ -20,6 +20,7 @@ export const createThreeMorph = ({
   getTrackByState,
   getTrackById,
   getColorForState,
+  getRiversForState,
   getHourglassPlayer,
   setSplitLayout,
   setAnimating,
@@ -94,6 +95,7 @@ export const createThreeMorph = ({
       trackByState: getTrackByState(),
       trackById: getTrackById(),
       colorForState: getColorForState(),
+      rivers: getRiversForState?.(stateId) ?? [],
     });
     if (!mesh) return;
 
@@ -3,6 +3,8 @@
  * Creates tempo-synced character animations with multiple dance moves
  */
 
+import { getRandom, pick } from "../core/random.js";
+
 // Move configuration: defines looping behavior and kick responsiveness
 // Note: idle has weight 0 so it's never selected in ambient rotation (constant motion)
 const MOVE_CONFIG = {
@@ -18,18 +20,22 @@ const MOVE_CONFIG = {
 // Fast timing for one-shot moves (ms per frame)
 const ONE_SHOT_FRAME_DURATION = 120;
 
+// How often a beat-synced looping move checks the track position (ms)
+const BEAT_SYNC_INTERVAL = 1000 / 30;
+
 /**
  * Performs weighted random selection
  * @param {string[]} moves - Array of move names
  * @param {number[]} weights - Corresponding weights (must sum to ~1.0)
+ * @param {function(): number} random - Seeded generator from core/random
  * @returns {string} Selected move name
  */
-const weightedRandom = (moves, weights) => {
-  const random = Math.random();
+const weightedRandom = (moves, weights, random) => {
+  const roll = random();
   let sum = 0;
   for (let i = 0; i < moves.length; i++) {
     sum += weights[i];
-    if (random < sum) return moves[i];
+    if (roll < sum) return moves[i];
   }
   return moves[0]; // Fallback
 };
@@ -39,10 +45,14 @@ const weightedRandom = (moves, weights) => {
  * Creates a character dancer that plays multiple animation moves
  * @param {HTMLElement} container - Parent element for the dancer
  * @param {Object} moveSet - Map of move names to frame path arrays
- * @param {number} bpm - Beats per minute for tempo sync
- * @returns {{start: Function, stop: Function, dispose: Function, playMove: Function, onKick: Function, setTempo: Function}}
+ * @param {number} bpm - Beats per minute for tempo sync, until a beat clock is set
+ * @param {Object} [options]
+ * @param {HTMLImageElement} [options.img] - Existing image to animate in place instead of a new
+ *   one; it is left in the page on dispose, and `container` (which may be the image itself)
+ *   only carries the dance classes
+ * @returns {{start: Function, stop: Function, dispose: Function, playMove: Function, onKick: Function, setTempo: Function, setBeatClock: Function}}
  */
-export const createCharacterDancer = (container, moveSet, bpm = 120) => {
+export const createCharacterDancer = (container, moveSet, bpm = 120, { img: frameImg } = {}) => {
   if (!container || !moveSet || typeof moveSet !== "object") {
     console.warn("Invalid dancer parameters");
     return {
@@ -52,6 +62,7 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
       playMove: () => {},
       onKick: () => {},
       setTempo: () => {},
+      setBeatClock: () => {},
     };
   }
 
@@ -65,13 +76,19 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
       playMove: () => {},
       onKick: () => {},
       setTempo: () => {},
+      setBeatClock: () => {},
     };
   }
 
-  // Create image element
-  const img = document.createElement("img");
-  img.className = "dancer-frame";
-  img.alt = "Dancing character";
+  // Move picks follow the journey seed
+  const random = getRandom("dance");
+
+  // Create image element, unless the caller already shows the character
+  const img = frameImg || document.createElement("img");
+  if (!frameImg) {
+    img.className = "dancer-frame";
+    img.alt = "Dancing character";
+  }
 
   // State
   let currentMove = "idle";
@@ -80,6 +97,8 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
   let isDisposed = false;
   let isPlaying = false;
   let currentBpm = bpm;
+  let beatClock = null; // () => beat from audio/beat-grid `getBeat`, or null
+  let lastBeat = null;
 
   // Check for reduced motion preference
   const prefersReducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
@@ -124,12 +143,34 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
       ? getLoopingFrameDuration(frames.length)
       : ONE_SHOT_FRAME_DURATION;
 
+    let beatFrame = -1; // frame shown by the beat clock
+
     /**
      * Cycles through animation frames
      */
     const cycleFrames = () => {
       if (isDisposed || !isPlaying) return;
 
+      // On a beat grid: one loop per beat at the track's position, so the dance follows the
+      // track when it is reversed or sped up, and a kick move lands on each downbeat
+      const beat = isLooping ? beatClock?.() : null;
+      if (beat) {
+        currentBpm = beat.bpm || currentBpm;
+        const frame = Math.min(frames.length - 1, Math.floor(beat.phase * frames.length));
+        if (frame !== beatFrame) img.src = frames[frame];
+        beatFrame = frame;
+        currentFrame = frame;
+        const beatIndex = Math.floor(beat.position);
+        const isNewDownbeat = lastBeat !== null && beatIndex !== lastBeat && beat.beatInBar === 0;
+        lastBeat = beatIndex;
+        if (isNewDownbeat) onKick();
+        // Unless a kick move took over
+        if (currentMove === moveType) {
+          animationTimeout = setTimeout(cycleFrames, BEAT_SYNC_INTERVAL);
+        }
+        return;
+      }
+
       // Set frame
       img.src = frames[currentFrame];
       currentFrame++;
@@ -178,7 +219,7 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
     }
 
     // Select next move using weighted random
-    const nextMove = weightedRandom(ambientMoves, ambientWeights);
+    const nextMove = weightedRandom(ambientMoves, ambientWeights, random);
     playMove(nextMove);
   };
 
@@ -209,7 +250,7 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
     }, 80);
 
     // Random kick move selection
-    const kickMove = kickMoves[Math.floor(Math.random() * kickMoves.length)];
+    const kickMove = pick(kickMoves, random);
     playMove(kickMove);
   };
 
@@ -248,7 +289,7 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
     }
 
     const startMove =
-      ambientMoves.length > 0 ? weightedRandom(ambientMoves, ambientWeights) : "idle"; // Fallback only if no ambient moves available
+      ambientMoves.length > 0 ? weightedRandom(ambientMoves, ambientWeights, random) : "idle"; // Fallback only if no ambient moves available
 
     playMove(startMove);
   };
@@ -291,6 +332,20 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
     }
   };
 
+  /**
+   * Syncs looping moves to a track's beat grid instead of the fixed BPM
+   * @param {function(): ({position: number, phase: number, beatInBar: number}|null)|null} clock -
+   *   e.g. `() => getBeat(audio)` from audio/beat-grid; null goes back to the BPM
+   */
+  const setBeatClock = (clock) => {
+    beatClock = clock;
+    lastBeat = null;
+    const config = MOVE_CONFIG[currentMove];
+    if (isPlaying && config && config.looping) {
+      playMove(currentMove);
+    }
+  };
+
   /**
    * Cleans up and removes the dancer
    */
@@ -312,7 +367,7 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
 
     // Remove after transition
     setTimeout(() => {
-      if (img.parentElement) {
+      if (!frameImg && img.parentElement) {
         img.parentElement.removeChild(img);
       }
     }, 400); // Match CSS transition duration
@@ -325,5 +380,6 @@ export const createCharacterDancer = (container, moveSet, bpm = 120) => {
     playMove,
     onKick,
     setTempo,
+    setBeatClock,
   };
 };
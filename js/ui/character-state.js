@@ -1,10 +1,14 @@
 /**
  * @module ui/character-state
- * State-view character: floating animation, drag interaction, context menu.
+ * State-view character: floating animation, drag interaction, context menu. While the
+ * territory's track sounds, the character dances on the track's beat grid.
  */
 
 import { getDragPhrases, t } from "../i18n/i18n.js";
 import { CHARACTER_MOVE_MAP } from "./character-data.js";
+import { createCharacterDancer } from "./character-dancer.js";
+import { BEAT_GRID_EVENT, getBeat, getBeatGrid } from "../audio/beat-grid.js";
+import { isSounding } from "../audio/audio-engine.js";
 import { PREFERS_REDUCED_MOTION } from "../core/constants.js";
 
 const prefersReducedMotion = PREFERS_REDUCED_MOTION;
@@ -22,6 +26,32 @@ export const createStateCharacterManager = ({
   let stateCharFloatRAF = null;
   let stateCharFloatStart = 0;
   let stateCharDragging = false;
+  let dancer = null;
+  let dancing = false;
+  let beatAudio = null; // audio element the dancer follows
+
+  /** Dances on the followed track's grid once it is known, on its own tempo until then. */
+  const followBeatGrid = () => {
+    const audio = beatAudio;
+    const grid = audio && getBeatGrid(audio);
+    if (grid) dancer?.setTempo(grid.bpm);
+    dancer?.setBeatClock(grid ? () => getBeat(audio) : null);
+  };
+
+  /** Follows the active track, dancing while it sounds in either direction. */
+  const syncDancer = () => {
+    const audio = getActiveAudio() ?? null;
+    if (audio !== beatAudio) {
+      beatAudio?.removeEventListener(BEAT_GRID_EVENT, followBeatGrid);
+      beatAudio = audio;
+      beatAudio?.addEventListener(BEAT_GRID_EVENT, followBeatGrid);
+      followBeatGrid();
+    }
+    const sounding = isSounding(audio);
+    if (sounding && !dancing) dancer?.start();
+    else if (!sounding && dancing) dancer?.stop();
+    dancing = sounding;
+  };
 
   const startFloat = () => {
     if (prefersReducedMotion || !stateCharacter) return;
@@ -97,15 +127,18 @@ export const createStateCharacterManager = ({
         menu = null;
       }
       document.removeEventListener("pointerdown", onOutsideClick, true);
-      document.removeEventListener("keydown", onEscapeKey);
+      document.removeEventListener("keydown", onEscapeKey, true);
     };
 
     const onOutsideClick = (e) => {
       if (menu && !menu.contains(e.target) && e.target !== img) closeMenu();
     };
 
+    // Capture phase: closing the menu must not also leave the state
     const onEscapeKey = (e) => {
-      if (e.key === "Escape") closeMenu();
+      if (e.key !== "Escape") return;
+      e.preventDefault();
+      closeMenu();
     };
 
     const showGestureHelp = () => {
@@ -198,7 +231,7 @@ export const createStateCharacterManager = ({
 
       setTimeout(() => {
         document.addEventListener("pointerdown", onOutsideClick, true);
-        document.addEventListener("keydown", onEscapeKey);
+        document.addEventListener("keydown", onEscapeKey, true);
       }, 0);
     };
 
@@ -282,12 +315,15 @@ export const createStateCharacterManager = ({
 
     stateCharacter = img;
     stateCharFrameIdx = 0;
+    dancer = createCharacterDancer(img, moveSet, undefined, { img });
 
     if (!prefersReducedMotion) {
       setTimeout(() => stateCharacter?.classList.remove("state-character--arriving"), 800);
     }
 
     stateCharInterval = setInterval(() => {
+      syncDancer();
+      if (dancing) return;
       stateCharFrameIdx = (stateCharFrameIdx + 1) % moveSet.idle.length;
       if (stateCharacter) {
         stateCharacter.src = moveSet.idle[stateCharFrameIdx];
@@ -305,6 +341,11 @@ export const createStateCharacterManager = ({
       clearInterval(stateCharInterval);
       stateCharInterval = null;
     }
+    dancer?.dispose();
+    dancer = null;
+    dancing = false;
+    beatAudio?.removeEventListener(BEAT_GRID_EVENT, followBeatGrid);
+    beatAudio = null;
     if (stateCharacter) {
       stateCharacter.remove();
       stateCharacter = null;
@@ -1,11 +1,21 @@
 /**
  * @module ui/info-panel
  * Info panel: narrative text, track shrine with hourglass player, audio lifecycle.
+ * Track audio comes from the playback engine (audio/playback) and keeps playing after the
+ * panel moves on; only the hourglass player is disposed.
  */
 
 import { t } from "../i18n/i18n.js";
 import { createHourglassPlayer } from "../audio/hourglass/hourglass-player.js";
+import { REVERSE_PAUSE_EVENT, REVERSE_PLAY_EVENT, isSounding } from "../audio/audio-engine.js";
+import { initTrackBeats } from "../audio/beat-grid.js";
 import { PREFERS_REDUCED_MOTION, DEV_MODE } from "../core/constants.js";
+import { splitTrackTitle } from "../core/utils.js";
+import { isFinalState } from "../data/album.js";
+import { resolveLines, resolveText } from "../data/narrative.js";
+import { getEnding, getEndingBark } from "../data/endings.js";
+import { trackListening } from "../data/listening.js";
+import { createStatsRecorder } from "../data/listening-stats.js";
 
 const prefersReducedMotion = PREFERS_REDUCED_MOTION;
 
@@ -20,31 +30,69 @@ export const createInfoPanel = ({
   onShowQuestionModal,
   startAudioReactive,
   stopAudioReactive,
+  onListeningChange,
+  loadTrackAudio,
 }) => {
   let hourglassPlayer = null;
   let activeAudio = null;
+  let detachAudioReactive = null;
+  const statsRecorders = new WeakMap(); // audio -> recorder, for the hourglass hooks
 
-  const setupTrackPlayer = (container, audio) => {
-    if (!container || !(audio instanceof HTMLAudioElement)) return;
+  /** The state's track audio, counted in journey listening time and track stats. */
+  const getTrackAudio = (stateId, track) => {
+    const audio = loadTrackAudio(stateId, track.file);
+    initTrackBeats(audio, track.bpm);
+    if (!statsRecorders.has(audio)) {
+      const trackId = getTrackByState().get(String(stateId));
+      const recorder = trackId ? createStatsRecorder(trackId, audio) : null;
+      statsRecorders.set(audio, recorder);
+      trackListening(audio, stateId, (seconds) => {
+        recorder?.addForward(seconds);
+        onListeningChange();
+      });
+    }
+    return audio;
+  };
 
-    // Dispose previous hourglass player if exists
+  const disposePlayer = () => {
     if (hourglassPlayer) {
       hourglassPlayer.dispose();
       hourglassPlayer = null;
     }
+    detachAudioReactive?.();
+    detachAudioReactive = null;
+  };
+
+  const setupTrackPlayer = (container, audio) => {
+    if (!container || !(audio instanceof HTMLAudioElement)) return;
+
+    // Dispose previous hourglass player if exists
+    disposePlayer();
 
     // Create new hourglass player
-    hourglassPlayer = createHourglassPlayer(container, audio);
+    hourglassPlayer = createHourglassPlayer(container, audio, statsRecorders.get(audio)?.hooks);
 
-    // Connect audio reactive events
-    audio.addEventListener("play", () => startAudioReactive(audio));
-    audio.addEventListener("pause", stopAudioReactive);
-    audio.addEventListener("ended", stopAudioReactive);
+    // Connect audio reactive events; reverse playback pauses the element but keeps sounding
+    const handlePlay = () => startAudioReactive(audio);
+    const handleStop = () => {
+      if (!isSounding(audio)) stopAudioReactive();
+    };
+    const listeners = [
+      ["play", handlePlay],
+      [REVERSE_PLAY_EVENT, handlePlay],
+      ["pause", handleStop],
+      [REVERSE_PAUSE_EVENT, handleStop],
+      ["ended", handleStop],
+    ];
+    listeners.forEach(([type, handler]) => audio.addEventListener(type, handler));
+    detachAudioReactive = () => {
+      listeners.forEach(([type, handler]) => audio.removeEventListener(type, handler));
+    };
   };
 
   const showNarrative = (title, artist, track, infoOptions) => {
     if (!infoContent) return;
-    const narrativeLines = track.narrative || [];
+    const narrativeLines = resolveLines(track.narrative);
     const linesMarkup = narrativeLines
       .map((line) => {
         return `<p class="narrative-line is-visible">${line}</p>`;
@@ -55,14 +103,11 @@ export const createInfoPanel = ({
         ${linesMarkup}
         <button class="narrative-play-btn is-visible" type="button">${track.playLabel || "Play"}</button>
       </div>
-      <audio class="track-audio" preload="metadata" src="${encodeURI(track.file)}"></audio>
     `;
     infoContent.innerHTML = narrativeMarkup;
 
-    const audio = infoContent.querySelector(".track-audio");
-    if (audio instanceof HTMLAudioElement) {
-      activeAudio = audio;
-    }
+    const audio = getTrackAudio(getActiveStateId(), track);
+    activeAudio = audio;
 
     const playBtn = infoContent.querySelector(".narrative-play-btn");
     if (playBtn) {
@@ -104,8 +149,9 @@ export const createInfoPanel = ({
     if (pendingResult) {
       const prev = pendingResult;
       const chosenLabel = prev.chosenLabel || t("fallback.explore", { id: prev.chosen });
-      const hourglassQuestion = track.hourglassText
-        ? track.hourglassText.replace(/\n/g, "<br>")
+      const hourglassText = resolveText(track.hourglassText ?? "");
+      const hourglassQuestion = hourglassText
+        ? hourglassText.replace(/\n/g, "<br>")
         : t("fallback.direction");
       questionMarkup = `
         <div class="question-container tarot-result">
@@ -163,13 +209,13 @@ export const createInfoPanel = ({
           console.warn("[audio] Play failed:", err.message);
         });
       }
-      if (String(getActiveStateId()) === "11") {
+      if (isFinalState(getActiveStateId())) {
         const tryBark = () => {
           const charEl = getStateCharElement();
           if (!charEl) return setTimeout(tryBark, 300);
           const bubble = document.createElement("div");
           bubble.className = "state-character-bubble";
-          bubble.textContent = t("bark.finale");
+          bubble.textContent = getEndingBark(getEnding());
           charEl.parentElement.appendChild(bubble);
           const positionBubble = () => {
             const rect = charEl.getBoundingClientRect();
@@ -209,10 +255,7 @@ export const createInfoPanel = ({
           activeAudio.pause();
           activeAudio.currentTime = 0;
         }
-        if (hourglassPlayer) {
-          hourglassPlayer.dispose();
-          hourglassPlayer = null;
-        }
+        disposePlayer();
         activeAudio = null;
         stopAudioReactive();
         // Re-render narrative (skip animations on revisit)
@@ -228,14 +271,8 @@ export const createInfoPanel = ({
     if (narrativeBackBtn) narrativeBackBtn.hidden = true;
     if (!stateId) {
       infoContent.innerHTML = `<h2 class="info-title">${t("info.explore")}</h2><div class="info-body">${t("info.selectState")}</div>`;
-      if (hourglassPlayer) {
-        hourglassPlayer.dispose();
-        hourglassPlayer = null;
-      }
-      if (activeAudio) {
-        activeAudio.pause();
-        activeAudio = null;
-      }
+      disposePlayer();
+      activeAudio = null;
       stopAudioReactive();
       return;
     }
@@ -246,15 +283,9 @@ export const createInfoPanel = ({
     const trackId = getTrackByState().get(String(stateId));
     const track = trackId ? getTrackById().get(trackId) : null;
 
-    // Dispose previous player/audio before rendering new state
-    if (hourglassPlayer) {
-      hourglassPlayer.dispose();
-      hourglassPlayer = null;
-    }
-    if (activeAudio) {
-      activeAudio.pause();
-      activeAudio = null;
-    }
+    // Dispose the previous player; its audio plays on until the next track takes over
+    disposePlayer();
+    activeAudio = null;
     stopAudioReactive();
 
     if (!track) {
@@ -262,16 +293,14 @@ export const createInfoPanel = ({
       return;
     }
 
-    const parts = track.title.split(" - ");
-    const artist = parts[0] || "";
-    const title = parts.slice(1).join(" - ") || track.title;
-    const narrativeLines = track.narrative || [];
+    const { artist, title } = splitTrackTitle(track.title);
+    const narrativeLines = resolveLines(track.narrative);
 
-    // Revisit — skip narrative, go straight to hourglass with revealed tarot card
-    if (infoOptions.pendingResult) {
-      infoContent.innerHTML = `<audio class="track-audio" preload="metadata" src="${encodeURI(track.file)}"></audio>`;
-      const audio = infoContent.querySelector(".track-audio");
-      if (audio instanceof HTMLAudioElement) activeAudio = audio;
+    // Revisit (or album mode) — skip narrative, go straight to hourglass with revealed tarot card
+    if (infoOptions.pendingResult || infoOptions.autoplay) {
+      infoContent.innerHTML = "";
+      const audio = getTrackAudio(stateId, track);
+      activeAudio = audio;
       showTrackShrine(title, artist, track, audio, infoOptions);
       return;
     }
@@ -289,15 +318,12 @@ export const createInfoPanel = ({
         ${linesMarkup}
         <button class="narrative-play-btn" style="animation-delay: ${playDelay}s" type="button">${track.playLabel || "Play"}</button>
       </div>
-      <audio class="track-audio" preload="metadata" src="${encodeURI(track.file)}"></audio>
     `;
     infoContent.innerHTML = narrativeMarkup;
 
     // Prepare audio element (don't play yet)
-    const audio = infoContent.querySelector(".track-audio");
-    if (audio instanceof HTMLAudioElement) {
-      activeAudio = audio;
-    }
+    const audio = getTrackAudio(stateId, track);
+    activeAudio = audio;
 
     // Play button → transition to Phase B (hourglass)
     const playBtn = infoContent.querySelector(".narrative-play-btn");
@@ -331,6 +357,9 @@ export const createInfoPanel = ({
 
   return {
     renderInfo,
+    getTrackAudio,
+    /** Listening-stats hooks for an audio element from `getTrackAudio`, as the hourglass gets. */
+    getStatsHooks: (audio) => statsRecorders.get(audio)?.hooks ?? {},
     get hourglassPlayer() {
       return hourglassPlayer;
     },
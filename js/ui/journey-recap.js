@@ -0,0 +1,97 @@
+/**
+ * @module ui/journey-recap
+ * Finale-modal timeline of the journey: each territory in discovery order with its sigil,
+ * track, the tarot card picked there and the time spent listening. An entry reopens its state.
+ */
+
+import { t } from "../i18n/i18n.js";
+import { formatTime, splitTrackTitle } from "../core/utils.js";
+import { explorationOrder } from "../data/fog.js";
+import { listeningTime } from "../data/listening.js";
+
+/**
+ * @param {object} deps
+ * @param {HTMLOListElement} deps.list
+ * @param {function(): Map} deps.getSigilsByState - State id -> sigil image URL
+ * @param {function(string): object|null} deps.getTrackForState
+ * @param {function(string): object|null} deps.getAnsweredQuestion
+ * @param {function(string): void} deps.onSelect - Reopens a state
+ */
+export const createJourneyRecap = ({
+  list,
+  getSigilsByState,
+  getTrackForState,
+  getAnsweredQuestion,
+  onSelect,
+}) => {
+  const createText = (className, text) => {
+    const el = document.createElement("span");
+    el.className = className;
+    el.textContent = text;
+    return el;
+  };
+
+  const createEntry = (stateId, index) => {
+    const track = getTrackForState(stateId);
+    const { artist, title } = track
+      ? splitTrackTitle(track.title)
+      : { artist: "", title: t("finale.recap.unknown", { id: stateId }) };
+    const answer = getAnsweredQuestion(stateId);
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "finale-recap-entry";
+    button.dataset.state = stateId;
+    button.title = t("finale.recap.open", { title });
+
+    const sigil = document.createElement("span");
+    sigil.className = "finale-recap-sigil";
+    const sigilHref = getSigilsByState().get(stateId);
+    if (sigilHref) {
+      const img = document.createElement("img");
+      img.src = sigilHref;
+      img.alt = "";
+      sigil.appendChild(img);
+    } else {
+      sigil.textContent = String(index + 1);
+    }
+
+    const meta = document.createElement("span");
+    meta.className = "finale-recap-meta";
+    meta.append(createText("finale-recap-title", title));
+    if (artist) meta.append(createText("finale-recap-artist", artist));
+    if (answer) {
+      const label = answer.chosenLabel || t("fallback.explore", { id: answer.chosen });
+      meta.append(createText("finale-recap-card", t("finale.recap.card", { label })));
+    }
+
+    const time = createText("finale-recap-time", formatTime(listeningTime.get(stateId) || 0));
+    time.title = t("finale.recap.listened");
+
+    button.append(sigil, meta, time);
+    const item = document.createElement("li");
+    item.appendChild(button);
+    return item;
+  };
+
+  /** Rebuilds the timeline from the current journey. */
+  const render = () => {
+    if (!list) return;
+    list.replaceChildren(...explorationOrder.map(createEntry));
+  };
+
+  const handleClick = (event) => {
+    const entry = event.target.closest(".finale-recap-entry");
+    if (entry) onSelect(entry.dataset.state);
+  };
+
+  const init = () => {
+    list?.addEventListener("click", handleClick);
+  };
+
+  const dispose = () => {
+    list?.removeEventListener("click", handleClick);
+  };
+
+  return { init, dispose, render };
+};
@@ -0,0 +1,108 @@
+/**
+ * @module ui/journey-transfer
+ * About-modal controls to export a journey as a file, import one, and copy a share link.
+ */
+
+import { t } from "../i18n/i18n.js";
+import {
+  JOURNEY_QUERY_PARAM,
+  encodeJourneyCode,
+  journeyToFileContent,
+  parseJourneyFile,
+} from "../data/journey-codec.js";
+
+/**
+ * @param {object} deps
+ * @param {HTMLElement} deps.exportButton
+ * @param {HTMLElement} deps.importButton
+ * @param {HTMLInputElement} deps.importInput - Hidden file input
+ * @param {HTMLElement} deps.shareButton
+ * @param {HTMLElement} deps.statusEl - Live region for feedback
+ * @param {function} deps.getJourney - Current journey in persistence schema
+ * @param {function} deps.getChoices - stateId -> choice labels of that state's track
+ * @param {function} deps.onImport - Receives a validated journey
+ */
+export const createJourneyTransfer = ({
+  exportButton,
+  importButton,
+  importInput,
+  shareButton,
+  statusEl,
+  getJourney,
+  getChoices,
+  onImport,
+}) => {
+  let statusTimer = null;
+
+  const setStatus = (message) => {
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    if (statusTimer) clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+      statusEl.textContent = "";
+    }, 4000);
+  };
+
+  const exportFile = () => {
+    const blob = new Blob([journeyToFileContent(getJourney())], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `ataraxie-journey-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const importFile = async () => {
+    const file = importInput?.files?.[0];
+    if (!file) return;
+    importInput.value = "";
+    const journey = parseJourneyFile(await file.text());
+    if (!journey) {
+      setStatus(t("journey.importError"));
+      return;
+    }
+    onImport(journey);
+  };
+
+  const getShareUrl = () => {
+    const url = new URL(window.location.href);
+    url.searchParams.delete("state");
+    url.searchParams.set(JOURNEY_QUERY_PARAM, encodeJourneyCode(getJourney(), getChoices));
+    return url.toString();
+  };
+
+  const copyShareLink = () => {
+    const shareUrl = getShareUrl();
+    const fallback = () => window.prompt(t("journey.share"), shareUrl);
+    if (!navigator.clipboard?.writeText) {
+      fallback();
+      return;
+    }
+    navigator.clipboard
+      .writeText(shareUrl)
+      .then(() => setStatus(t("journey.copied")))
+      .catch(fallback);
+  };
+
+  const handleImportClick = () => importInput?.click();
+
+  const init = () => {
+    exportButton?.addEventListener("click", exportFile);
+    importButton?.addEventListener("click", handleImportClick);
+    importInput?.addEventListener("change", importFile);
+    shareButton?.addEventListener("click", copyShareLink);
+  };
+
+  const dispose = () => {
+    if (statusTimer) clearTimeout(statusTimer);
+    exportButton?.removeEventListener("click", exportFile);
+    importButton?.removeEventListener("click", handleImportClick);
+    importInput?.removeEventListener("change", importFile);
+    shareButton?.removeEventListener("click", copyShareLink);
+  };
+
+  return { init, dispose, getShareUrl };
+};
@@ -0,0 +1,139 @@
+/**
+ * @module ui/keyboard-help
+ * "?" overlay listing the keyboard bindings. Clicking a key waits for the next key press and
+ * rebinds the action to it (Escape cancels); a key already in use swaps with the old one.
+ */
+
+import { t } from "../i18n/i18n.js";
+import {
+  KEYBOARD_ACTIONS,
+  formatKey,
+  getBinding,
+  resetBindings,
+  setBinding,
+} from "../core/keybindings.js";
+
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "CapsLock"];
+
+/**
+ * @param {object} deps
+ * @param {HTMLElement} deps.modal
+ * @param {HTMLElement} deps.list
+ * @param {HTMLButtonElement} [deps.closeButton]
+ * @param {HTMLButtonElement} [deps.resetButton]
+ * @param {HTMLElement} [deps.status] - Live region for remapping feedback
+ */
+export const createKeyboardHelp = ({ modal, list, closeButton, resetButton, status }) => {
+  let capturing = null; // action waiting for its new key
+  let returnFocus = null;
+
+  const setStatus = (text) => {
+    if (status) status.textContent = text;
+  };
+
+  const createRow = (action) => {
+    const item = document.createElement("li");
+    item.className = "keyboard-help-row";
+    const label = document.createElement("span");
+    label.className = "keyboard-help-action";
+    label.textContent = t(`keys.${action}`);
+    const key = document.createElement("button");
+    key.type = "button";
+    key.className = "keyboard-help-key";
+    key.dataset.action = action;
+    key.classList.toggle("is-capturing", capturing === action);
+    key.textContent = capturing === action ? t("keys.press") : formatKey(getBinding(action));
+    key.title = t("keys.change", { action: label.textContent });
+    item.append(label, key);
+    return item;
+  };
+
+  const render = () => {
+    list?.replaceChildren(...KEYBOARD_ACTIONS.map(createRow));
+  };
+
+  const stopCapture = () => {
+    const action = capturing;
+    capturing = null;
+    render();
+    list?.querySelector(`[data-action="${action}"]`)?.focus();
+  };
+
+  /** Runs before the global controls so the captured key does not trigger its action. */
+  const handleCaptureKey = (event) => {
+    if (!capturing || MODIFIER_KEYS.includes(event.key)) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    if (event.key === "Escape") {
+      setStatus("");
+    } else {
+      const displaced = setBinding(capturing, event.key);
+      setStatus(displaced ? t("keys.swapped", { action: t(`keys.${displaced}`) }) : "");
+    }
+    stopCapture();
+  };
+
+  const handleListClick = (event) => {
+    const key = event.target.closest(".keyboard-help-key");
+    if (!key) return;
+    capturing = key.dataset.action;
+    setStatus("");
+    render();
+    list.querySelector(`[data-action="${capturing}"]`)?.focus();
+  };
+
+  const handleReset = () => {
+    resetBindings();
+    capturing = null;
+    setStatus(t("keys.resetDone"));
+    render();
+  };
+
+  const handleBackdropClick = (event) => {
+    if (event.target === modal) hide();
+  };
+
+  const show = () => {
+    if (!modal) return;
+    returnFocus = document.activeElement;
+    capturing = null;
+    setStatus("");
+    render();
+    modal.setAttribute("aria-hidden", "false");
+    closeButton?.focus();
+  };
+
+  const hide = () => {
+    if (!modal) return;
+    capturing = null;
+    modal.setAttribute("aria-hidden", "true");
+    if (returnFocus instanceof HTMLElement) returnFocus.focus();
+    returnFocus = null;
+  };
+
+  const init = () => {
+    document.addEventListener("keydown", handleCaptureKey, true);
+    list?.addEventListener("click", handleListClick);
+    closeButton?.addEventListener("click", hide);
+    resetButton?.addEventListener("click", handleReset);
+    modal?.addEventListener("click", handleBackdropClick);
+  };
+
+  const dispose = () => {
+    document.removeEventListener("keydown", handleCaptureKey, true);
+    list?.removeEventListener("click", handleListClick);
+    closeButton?.removeEventListener("click", hide);
+    resetButton?.removeEventListener("click", handleReset);
+    modal?.removeEventListener("click", handleBackdropClick);
+  };
+
+  return {
+    init,
+    dispose,
+    show,
+    hide,
+    get isOpen() {
+      return modal?.getAttribute("aria-hidden") === "false";
+    },
+  };
+};
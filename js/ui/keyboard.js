@@ -0,0 +1,53 @@
+/**
+ * @module ui/keyboard
+ * Global keyboard controls: turns key presses into the actions of core/keybindings. Keys typed
+ * into form fields, moving a focused slider or activating a focused button keep their native
+ * behaviour.
+ */
+
+import { getActionForKey } from "../core/keybindings.js";
+
+const TEXT_ENTRY = "input:not([type='range']), textarea, select, [contenteditable='true']";
+const SLIDER = "input[type='range'], [role='slider']";
+const SLIDER_KEYS = [
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  "Home",
+  "End",
+  "PageUp",
+  "PageDown",
+];
+const ACTIVATABLE = "button, a[href], summary";
+
+/**
+ * @param {object} deps
+ * @param {Object<string, function(KeyboardEvent): boolean>} deps.handlers - Action id -> handler;
+ *   returns true when the action applied, so the key's default is prevented
+ * @param {function(string): boolean} [deps.isSuspended] - True to ignore an action, e.g. while
+ *   a modal is open
+ */
+export const createKeyboardControls = ({ handlers, isSuspended }) => {
+  const handleKeydown = (event) => {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    const target = event.target instanceof Element ? event.target : null;
+    if (target?.closest(TEXT_ENTRY)) return;
+    if (SLIDER_KEYS.includes(event.key) && target?.closest(SLIDER)) return;
+    if ((event.key === "Enter" || event.key === " ") && target?.closest(ACTIVATABLE)) return;
+
+    const action = getActionForKey(event.key);
+    if (!action || isSuspended?.(action)) return;
+    if (handlers[action]?.(event)) event.preventDefault();
+  };
+
+  const init = () => {
+    document.addEventListener("keydown", handleKeydown);
+  };
+
+  const dispose = () => {
+    document.removeEventListener("keydown", handleKeydown);
+  };
+
+  return { init, dispose };
+};
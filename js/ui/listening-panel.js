@@ -0,0 +1,82 @@
+/**
+ * @module ui/listening-panel
+ * About-modal "your listening" panel: per-track stats from data/listening-stats, rebuilt each
+ * time the panel is opened, and a JSON export.
+ */
+
+import { t } from "../i18n/i18n.js";
+import { formatTime, splitTrackTitle } from "../core/utils.js";
+import { listeningStats, statsToFileContent } from "../data/listening-stats.js";
+
+/**
+ * @param {object} deps
+ * @param {HTMLDetailsElement} deps.details - Panel; rendered when opened
+ * @param {HTMLElement} deps.list
+ * @param {HTMLButtonElement} deps.exportButton
+ * @param {function(string): object|null} deps.getTrackById
+ */
+export const createListeningPanel = ({ details, list, exportButton, getTrackById }) => {
+  const createEntry = (trackId, stats) => {
+    const track = getTrackById(trackId);
+    const { artist, title } = splitTrackTitle(track?.title ?? trackId);
+    const item = document.createElement("li");
+    const name = document.createElement("span");
+    name.className = "about-listening-title";
+    name.textContent = artist ? `${title} — ${artist}` : title;
+    const detail = document.createElement("span");
+    detail.className = "about-listening-detail";
+    detail.textContent = t("stats.detail", {
+      forward: formatTime(stats.forward),
+      reversed: formatTime(stats.reversed),
+      speed: stats.maxSpeed.toFixed(1),
+      completion: Math.round(stats.completion * 100),
+      restarts: stats.restarts,
+    });
+    item.append(name, detail);
+    return item;
+  };
+
+  const render = () => {
+    if (!list) return;
+    const entries = [...listeningStats]
+      .filter(([, stats]) => stats.forward + stats.reversed > 0)
+      .sort(([, a], [, b]) => b.forward + b.reversed - (a.forward + a.reversed));
+    if (!entries.length) {
+      const empty = document.createElement("li");
+      empty.className = "about-listening-empty";
+      empty.textContent = t("stats.empty");
+      list.replaceChildren(empty);
+    } else {
+      list.replaceChildren(...entries.map(([trackId, stats]) => createEntry(trackId, stats)));
+    }
+    if (exportButton) exportButton.disabled = !entries.length;
+  };
+
+  const handleToggle = () => {
+    if (details.open) render();
+  };
+
+  const exportFile = () => {
+    const blob = new Blob([statsToFileContent()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `ataraxie-listening-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const init = () => {
+    details?.addEventListener("toggle", handleToggle);
+    exportButton?.addEventListener("click", exportFile);
+  };
+
+  const dispose = () => {
+    details?.removeEventListener("toggle", handleToggle);
+    exportButton?.removeEventListener("click", exportFile);
+  };
+
+  return { init, dispose, render };
+};
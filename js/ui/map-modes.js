@@ -0,0 +1,116 @@
+/**
+ * @module ui/map-modes
+ * Map view switcher (textures or a thematic view) with a legend that only describes
+ * the revealed states.
+ */
+
+import { t } from "../i18n/i18n.js";
+import { MAP_MODE_STORAGE_KEY } from "../core/constants.js";
+import { DEFAULT_THEMATIC_MODE, THEMATIC_MODES, createThematicScales } from "../map/thematic.js";
+
+/**
+ * @param {object} deps
+ * @param {HTMLElement} deps.container - Wrapper shown once the switcher is ready
+ * @param {HTMLSelectElement} deps.select
+ * @param {HTMLElement} deps.legend
+ * @param {Object} deps.textureCanvas - Renderer from `createTextureCanvas`
+ * @param {Array} deps.landCells - From `mapApi.getLandCells()`
+ * @param {function(): Set} deps.getRevealedStates
+ */
+export const createMapModes = ({
+  container,
+  select,
+  legend,
+  textureCanvas,
+  landCells,
+  getRevealedStates,
+}) => {
+  const scales = createThematicScales(landCells);
+  let currentMode = DEFAULT_THEMATIC_MODE;
+
+  const readStoredMode = () => {
+    const stored = localStorage.getItem(MAP_MODE_STORAGE_KEY);
+    return THEMATIC_MODES.includes(stored) ? stored : DEFAULT_THEMATIC_MODE;
+  };
+
+  const renderCategories = (items) => {
+    const list = document.createElement("ul");
+    list.className = "map-legend-list";
+    items.forEach(({ color, label }) => {
+      const item = document.createElement("li");
+      const swatch = document.createElement("span");
+      swatch.className = "map-legend-swatch";
+      swatch.style.background = color;
+      item.append(swatch, label);
+      list.appendChild(item);
+    });
+    return list;
+  };
+
+  const renderGradient = ({ stops, min, max }) => {
+    const fragment = document.createDocumentFragment();
+    const bar = document.createElement("div");
+    bar.className = "map-legend-gradient";
+    bar.style.background = `linear-gradient(90deg, ${stops.join(", ")})`;
+    const range = document.createElement("div");
+    range.className = "map-legend-range";
+    [min, max].filter(Boolean).forEach(({ label, position }) => {
+      // At its value on the ramp, shifted by as much of its width so it stays within the bar
+      const mark = document.createElement("span");
+      mark.textContent = label;
+      mark.style.left = `${position * 100}%`;
+      mark.style.transform = `translateX(-${position * 100}%)`;
+      range.appendChild(mark);
+    });
+    fragment.append(bar, range);
+    return fragment;
+  };
+
+  /** Rebuilds the legend; call whenever the revealed states change. */
+  const refreshLegend = () => {
+    if (!legend) return;
+    legend.replaceChildren();
+    const revealedStates = getRevealedStates();
+    const visibleCells = landCells.filter((cell) => revealedStates.has(cell.stateId));
+    const entry = scales.getLegend(currentMode, visibleCells);
+    if (entry?.type === "categories" && entry.items.length) {
+      legend.appendChild(renderCategories(entry.items));
+    } else if (entry?.type === "gradient") {
+      legend.appendChild(renderGradient(entry));
+    }
+    legend.hidden = !legend.childElementCount;
+  };
+
+  const setMode = (modeId) => {
+    currentMode = THEMATIC_MODES.includes(modeId) ? modeId : DEFAULT_THEMATIC_MODE;
+    if (select) select.value = currentMode;
+    localStorage.setItem(MAP_MODE_STORAGE_KEY, currentMode);
+    textureCanvas.setThematicFill(
+      currentMode === DEFAULT_THEMATIC_MODE
+        ? null
+        : (properties) => scales.getColor(currentMode, properties),
+    );
+    refreshLegend();
+  };
+
+  const handleChange = () => setMode(select.value);
+
+  const init = () => {
+    if (!container || !select) return;
+    THEMATIC_MODES.forEach((modeId) => {
+      const option = document.createElement("option");
+      option.value = modeId;
+      option.textContent = t(`map.mode.${modeId}`);
+      select.appendChild(option);
+    });
+    select.addEventListener("change", handleChange);
+    setMode(readStoredMode());
+    container.hidden = false;
+  };
+
+  const dispose = () => {
+    select?.removeEventListener("change", handleChange);
+  };
+
+  return { init, dispose, setMode, refreshLegend };
+};
@@ -0,0 +1,71 @@
+/**
+ * @module ui/offline-download
+ * About-modal action that downloads the album audio and artwork for offline listening, with
+ * progress.
+ */
+
+import { t } from "../i18n/i18n.js";
+import {
+  countOfflineAudio,
+  downloadOfflineAssets,
+  downloadOfflineAudio,
+  isOfflineSupported,
+} from "../data/offline.js";
+
+/**
+ * @param {object} deps
+ * @param {HTMLButtonElement} deps.button
+ * @param {HTMLElement} deps.statusEl - Live region for progress
+ * @param {function} deps.getAudioUrls - Track file URLs of the current album
+ */
+export const createOfflineDownload = ({ button, statusEl, getAudioUrls }) => {
+  let downloading = false;
+
+  const setStatus = (message) => {
+    if (statusEl) statusEl.textContent = message;
+  };
+
+  const refreshStatus = async () => {
+    const urls = getAudioUrls();
+    if (!urls.length || downloading) return;
+    const cached = await countOfflineAudio(urls);
+    if (cached === urls.length) setStatus(t("offline.ready"));
+  };
+
+  const download = async () => {
+    const urls = getAudioUrls();
+    if (downloading || !urls.length) return;
+    downloading = true;
+    button.disabled = true;
+    setStatus(t("offline.progress", { current: 0, total: urls.length }));
+    try {
+      const assets = await downloadOfflineAssets();
+      const { failed } = await downloadOfflineAudio(urls, {
+        onProgress: (current, total) => setStatus(t("offline.progress", { current, total })),
+      });
+      const count = failed.length + assets.failed.length;
+      setStatus(count ? t("offline.partial", { count }) : t("offline.ready"));
+    } catch (err) {
+      console.warn("[offline] Album download failed:", err.message);
+      setStatus(t("offline.error"));
+    } finally {
+      downloading = false;
+      button.disabled = false;
+    }
+  };
+
+  const init = () => {
+    if (!button) return;
+    if (!isOfflineSupported()) {
+      button.hidden = true;
+      return;
+    }
+    button.addEventListener("click", download);
+  };
+
+  const dispose = () => {
+    button?.removeEventListener("click", download);
+  };
+
+  return { init, dispose, refreshStatus };
+};
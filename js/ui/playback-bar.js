@@ -0,0 +1,82 @@
+/**
+ * @module ui/playback-bar
+ * Map overlay for the playback engine: the track still playing, pause/resume and the album
+ * mode, plus the about-modal crossfade setting.
+ */
+
+import { t } from "../i18n/i18n.js";
+import { ALBUM_MODES, MAX_CROSSFADE } from "../audio/playback.js";
+
+/**
+ * @param {object} deps
+ * @param {HTMLElement} deps.container - Wrapper shown once the bar is ready
+ * @param {HTMLButtonElement} deps.toggleButton
+ * @param {HTMLElement} deps.label - Current track title
+ * @param {HTMLSelectElement} deps.modeSelect
+ * @param {HTMLInputElement} [deps.crossfadeInput] - Range input, in seconds
+ * @param {HTMLOutputElement} [deps.crossfadeValue]
+ * @param {Object} deps.playback - Engine from `createPlaybackEngine`
+ * @param {function(string): string} deps.getTrackTitle - State id -> track title
+ */
+export const createPlaybackBar = ({
+  container,
+  toggleButton,
+  label,
+  modeSelect,
+  crossfadeInput,
+  crossfadeValue,
+  playback,
+  getTrackTitle,
+}) => {
+  const renderCrossfade = () => {
+    if (crossfadeValue) {
+      crossfadeValue.textContent = t("playback.crossfade.value", { seconds: playback.crossfade });
+    }
+  };
+
+  /** Reflects the engine state; call on every engine change. */
+  const update = () => {
+    if (!container || !toggleButton || !label) return;
+    const current = playback.current;
+    label.textContent = current ? getTrackTitle(current.stateId) : t("playback.idle");
+    toggleButton.disabled = !current;
+    toggleButton.textContent = playback.playing ? t("menu.pause") : t("menu.play");
+    container.classList.toggle("is-playing", playback.playing);
+    if (modeSelect) modeSelect.value = playback.albumMode;
+  };
+
+  const handleToggle = () => playback.toggle();
+  const handleModeChange = () => playback.setAlbumMode(modeSelect.value);
+  const handleCrossfadeInput = () => {
+    playback.setCrossfade(crossfadeInput.value);
+    renderCrossfade();
+  };
+
+  const init = () => {
+    if (!container || !toggleButton || !label) return;
+    ALBUM_MODES.forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = t(`playback.mode.${mode}`);
+      modeSelect?.appendChild(option);
+    });
+    toggleButton.addEventListener("click", handleToggle);
+    modeSelect?.addEventListener("change", handleModeChange);
+    if (crossfadeInput) {
+      crossfadeInput.max = String(MAX_CROSSFADE);
+      crossfadeInput.value = String(playback.crossfade);
+      crossfadeInput.addEventListener("input", handleCrossfadeInput);
+      renderCrossfade();
+    }
+    update();
+    container.hidden = false;
+  };
+
+  const dispose = () => {
+    toggleButton?.removeEventListener("click", handleToggle);
+    modeSelect?.removeEventListener("change", handleModeChange);
+    crossfadeInput?.removeEventListener("input", handleCrossfadeInput);
+  };
+
+  return { init, dispose, update };
+};
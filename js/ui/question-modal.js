@@ -4,7 +4,11 @@
  */
 
 import { t } from "../i18n/i18n.js";
-import { PENULTIMATE_STATE, FINAL_STATE, PREFERS_REDUCED_MOTION, DEV_MODE } from "../core/constants.js";
+import { PREFERS_REDUCED_MOTION, DEV_MODE } from "../core/constants.js";
+import { getFinaleStates, isFinalState } from "../data/album.js";
+import { normalizeChoice, resolveChoices } from "../data/branching.js";
+import { getNarrativeContext, resolveText, setFlags } from "../data/narrative.js";
+import { getRandom } from "../core/random.js";
 import {
   revealedStates,
   isStateRevealed,
@@ -24,6 +28,7 @@ export const createQuestionModal = ({
   getTextureCanvas,
   onClearSelection,
   onMapComplete,
+  onJourneyChange,
 }) => {
   const answeredQuestions = new Map();
   let pendingTrail = null;
@@ -100,21 +105,52 @@ export const createQuestionModal = ({
     }
   };
 
-  const cardMarkup = (answer, label) => `
-        <button class="tarot-card answer-btn" data-answer="${answer}" type="button">
+  const cardMarkup = ({ target, text }, index) => `
+        <button class="tarot-card answer-btn" data-answer="${target}" data-card="${index}" type="button">
           <div class="tarot-card-inner">
             <div class="tarot-card-back"><div class="tarot-card-back-pattern"></div></div>
             <div class="tarot-card-front">
               <div class="tarot-card-border">
                 <div class="tarot-card-content">
-                  <span class="tarot-card-label">${label}</span>
+                  <span class="tarot-card-label">${text}</span>
                 </div>
               </div>
             </div>
           </div>
         </button>`;
 
-  const attachAnswerHandlers = (answerButtons, stateId, option1, option2) => {
+  /**
+   * Applies the card picked at `index` of a spread: its flags, the revealed state and trail,
+   * the stored answer, then saves the journey. Shared by the tarot spread and the text view.
+   * @returns {string} The revealed state
+   */
+  const answerQuestion = (stateId, cards, index) => {
+    const card = cards[index];
+    const option1 = cards[0].target;
+    const option2 = cards[1]?.target || option1;
+    // The picked card's flags apply before the journey is saved
+    setFlags(card.set);
+    handleAnswer(card.target, stateId);
+    // Store answer for revisit rendering (include chosenLabel for revisit display)
+    const chosenLabel = new DOMParser().parseFromString(card.text, "text/html").body.textContent;
+    answeredQuestions.set(stateId, {
+      option1,
+      option2,
+      chosen: card.target,
+      chosenLabel,
+    });
+    onJourneyChange?.();
+    return card.target;
+  };
+
+  /** Ends the journey on a state without choices: marks it and celebrates. */
+  const completeJourney = (stateId) => {
+    markAsQuestioned(stateId);
+    onJourneyChange?.();
+    celebrateMapCompletion();
+  };
+
+  const attachAnswerHandlers = (answerButtons, stateId, cards) => {
     answerButtons.forEach((btn) => {
       btn.addEventListener("click", () => {
         const answer = btn.dataset.answer;
@@ -137,15 +173,7 @@ export const createQuestionModal = ({
           if (b !== btn) b.classList.add("answer-btn--dismissed");
         });
         setTimeout(() => {
-          handleAnswer(answer, stateId);
-          // Store answer for revisit rendering (include chosenLabel for revisit display)
-          const chosenLabel = btn.querySelector(".tarot-card-label")?.textContent || "";
-          answeredQuestions.set(stateId, {
-            option1,
-            option2: option2 || option1,
-            chosen: answer,
-            chosenLabel,
-          });
+          answerQuestion(stateId, cards, Number(btn.dataset.card));
           // Store pending trail for deferred drawing (when user clicks back or continue)
           pendingTrail = { from: stateId, to: answer };
           const container = infoContent?.querySelector(".question-container");
@@ -168,88 +196,86 @@ export const createQuestionModal = ({
     });
   };
 
-  const showQuestionModal = (stateId) => {
+  /**
+   * The spread offered on a state: the hourglass question and its cards, or null when the
+   * journey ends there (final state, no choices or nothing left to reveal).
+   * @returns {{question: string, cards: Array<{text: string, target: string, set: object}>}|null}
+   */
+  const getSpread = (stateId) => {
     // Look up current state's track for hourglassText and choices
     const sourceTrackId = getTrackByState().get(String(stateId));
     const sourceTrack = sourceTrackId ? getTrackById().get(sourceTrackId) : null;
     const choices = sourceTrack?.choices || [];
 
-    // Final state (zero crossing point) — no choices, celebrate
-    if (String(stateId) === FINAL_STATE || choices.length === 0) {
-      markAsQuestioned(stateId);
-      celebrateMapCompletion();
-      return;
-    }
+    // Final state (zero crossing point) — no choices
+    if (isFinalState(stateId) || choices.length === 0) return null;
 
     // Gather all unrevealed states (excluding ocean)
     const stateCounts = getStateCounts();
     const allStates = Array.from(stateCounts.keys());
     const allUnrevealed = allStates.filter((s) => s !== "0" && !isStateRevealed(s));
 
-    // If nothing left to reveal, celebrate
-    if (allUnrevealed.length === 0) {
-      markAsQuestioned(stateId);
-      celebrateMapCompletion();
-      return;
-    }
+    // Nothing left to reveal
+    if (allUnrevealed.length === 0) return null;
 
-    // States 10 (Damna) and 11 (Zero Crossing Point) are reserved for last
-    const reserved = [PENULTIMATE_STATE, FINAL_STATE];
+    // The album's finale states (Damna, Zero Crossing Point in vol1) are reserved for last
+    const reserved = getFinaleStates();
     const nonReserved = allUnrevealed.filter((s) => !reserved.includes(s));
 
-    // Hourglass text from source track
-    const hourglassQuestion = sourceTrack?.hourglassText
-      ? sourceTrack.hourglassText.replace(/\n/g, "<br>")
+    // Hourglass text from source track, following the narrative flags
+    const narrativeContext = getNarrativeContext();
+    const hourglassText = resolveText(sourceTrack?.hourglassText ?? "", narrativeContext);
+    const question = hourglassText
+      ? hourglassText.replace(/\n/g, "<br>")
       : t("fallback.direction");
 
-    if (!infoContent) return;
-
-    // If only reserved states remain, offer 2 cards both leading to the next reserved state
+    let cards;
     if (nonReserved.length === 0) {
-      const nextState = !isStateRevealed(PENULTIMATE_STATE) ? PENULTIMATE_STATE : FINAL_STATE;
-      const questionMarkup = `
-        <div class="question-container">
-          <div class="question-prompt tarot-reading">
-            <p class="question-text">${hourglassQuestion}</p>
-          </div>
-          <div class="tarot-spread">
-            ${cardMarkup(nextState, choices[0])}
-            ${choices[1] ? cardMarkup(nextState, choices[1]) : ""}
-          </div>
-        </div>
-      `;
-      infoContent.insertAdjacentHTML("beforeend", questionMarkup);
-      const answerButtons = infoContent.querySelectorAll(".answer-btn");
-      attachAnswerHandlers(answerButtons, stateId, nextState, nextState);
-      return;
+      // Only reserved states remain: every card leads to the next reserved state
+      const nextState = reserved.find((s) => !isStateRevealed(s)) ?? reserved[reserved.length - 1];
+      cards = choices
+        .map((choice) => normalizeChoice(choice, narrativeContext))
+        .filter((choice) => choice.text)
+        .slice(0, 2)
+        .map(({ text, set }) => ({ text, target: nextState, set }));
+      if (!cards.length) {
+        cards = [{ text: t("fallback.explore", { id: nextState }), target: nextState, set: null }];
+      }
+    } else {
+      // Author-defined targets first, then unrevealed neighbours (reserved states excluded)
+      cards = resolveChoices(choices, {
+        ...narrativeContext,
+        neighbors: getNeighbors(stateId),
+        candidates: nonReserved,
+        random: getRandom("tarot", stateId),
+      });
+      if (!cards.length) {
+        // No choice resolved (all hidden by flags): explore an unrevealed neighbour if any
+        const neighbors = getNeighbors(stateId);
+        const nextState = nonReserved.find((s) => neighbors.includes(s)) ?? nonReserved[0];
+        cards = [{ text: t("fallback.explore", { id: nextState }), target: nextState, set: null }];
+      }
     }
+    return { question, cards };
+  };
 
-    // Prefer direct neighbors, but exclude reserved states
-    const neighbors = getNeighbors(stateId);
-    let candidates = neighbors.filter((n) => !reserved.includes(n) && !isStateRevealed(n));
-
-    // If no unrevealed non-reserved neighbors, use any non-reserved unrevealed state
-    if (candidates.length === 0) {
-      candidates = nonReserved;
+  const showQuestionModal = (stateId) => {
+    const spread = getSpread(stateId);
+    if (!spread) {
+      completeJourney(stateId);
+      return;
     }
 
-    // Always pick exactly 2 distinct unrevealed states
-    const shuffled = candidates.sort(() => Math.random() - 0.5);
-    const option1 = shuffled[0];
-    const option2 = shuffled[1] || option1;
-
-    const label1 = choices[0];
-    const label2 = choices[1];
+    if (!infoContent) return;
 
     // Append question to existing info panel content
     const questionMarkup = `
       <div class="question-container">
         <div class="question-prompt tarot-reading">
-          <p class="question-text">${hourglassQuestion}</p>
+          <p class="question-text">${spread.question}</p>
         </div>
         <div class="tarot-spread">
-          ${cardMarkup(option1, label1)}
-          ${label2 ? cardMarkup(option2, label2) : ""}
+          ${spread.cards.map(cardMarkup).join("")}
         </div>
       </div>
     `;
@@ -258,7 +284,7 @@ export const createQuestionModal = ({
 
     // Add click handlers to answer buttons
     const answerButtons = infoContent.querySelectorAll(".answer-btn");
-    attachAnswerHandlers(answerButtons, stateId, option1, option2);
+    attachAnswerHandlers(answerButtons, stateId, spread.cards);
   };
 
   const hideQuestionModal = () => {
@@ -268,12 +294,51 @@ export const createQuestionModal = ({
     }
   };
 
+  /** Enabled cards of the spread in the info panel. */
+  const getSpreadCards = () =>
+    Array.from(infoContent?.querySelectorAll(".tarot-card:not(:disabled)") || []);
+
+  /** Flips the next card of the spread face up (keyboard peek), the others face down. */
+  const flipNextCard = () => {
+    const cards = getSpreadCards();
+    if (!cards.length) return false;
+    const flippedIndex = cards.findIndex((card) => card.classList.contains("is-flipped"));
+    const next = cards[(flippedIndex + 1) % cards.length];
+    cards.forEach((card) => card.classList.toggle("is-flipped", card === next));
+    next.focus({ preventScroll: true });
+    next.scrollIntoView({ block: "nearest", behavior: PREFERS_REDUCED_MOTION ? "auto" : "smooth" });
+    return true;
+  };
+
+  /** Picks the card flipped with `flipNextCard`, as a second tap would. */
+  const confirmFlippedCard = () => {
+    const card = getSpreadCards().find((c) => c.classList.contains("is-flipped"));
+    if (!card) return false;
+    card.click();
+    return true;
+  };
+
   return {
     showQuestionModal,
     hideQuestionModal,
+    getSpread,
+    answerQuestion,
+    completeJourney,
+    flipNextCard,
+    confirmFlippedCard,
     getAnsweredQuestion(stateId) {
       return answeredQuestions.get(stateId);
     },
+    getAnsweredQuestions() {
+      return new Map(answeredQuestions);
+    },
+    /** Replace all stored answers, e.g. with a journey restored from storage. */
+    restoreAnsweredQuestions(entries) {
+      answeredQuestions.clear();
+      Object.entries(entries || {}).forEach(([stateId, answer]) => {
+        answeredQuestions.set(String(stateId), { ...answer });
+      });
+    },
     consumePendingTrail() {
       const trail = pendingTrail;
       pendingTrail = null;
@@ -0,0 +1,205 @@
+/**
+ * @module ui/text-audio-controls
+ * Plain audio controls for the text view: play/pause, a seek slider, playback speed and a
+ * reverse toggle backed by the hourglass's Web Audio reverse playback.
+ */
+
+import { t } from "../i18n/i18n.js";
+import { formatTime } from "../core/utils.js";
+import { createReverseAudio } from "../audio/hourglass/hourglass-audio.js";
+
+export const SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+const createButton = (className, text) => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = text;
+  return button;
+};
+
+/**
+ * @param {HTMLAudioElement} audio - Track audio from the playback engine
+ * @param {Object} [hooks] - Listening-stats hooks, as given to the hourglass player
+ * @returns {{element: HTMLElement, dispose: function(): void}}
+ */
+export const createTextAudioControls = (audio, hooks = {}) => {
+  const reverseAudio = createReverseAudio(audio, {
+    onProgress: (report) => handleReverseProgress(report),
+  });
+  let speed = SPEEDS.includes(audio.playbackRate) ? audio.playbackRate : 1;
+  let frame = null;
+  let lastTick = 0;
+  let pendingReverse = false; // asked for before the reversed audio was ready
+
+  const group = document.createElement("div");
+  group.className = "text-audio";
+  group.setAttribute("role", "group");
+  group.setAttribute("aria-label", t("text.audio"));
+
+  const playButton = createButton("about-journey-btn text-audio-play", t("menu.play"));
+
+  const seek = document.createElement("input");
+  seek.type = "range";
+  seek.className = "text-audio-seek";
+  seek.min = "0";
+  seek.step = "1";
+  seek.setAttribute("aria-label", t("text.audio.seek"));
+
+  const time = document.createElement("span");
+  time.className = "text-audio-time";
+  time.setAttribute("aria-hidden", "true");
+
+  const speedLabel = document.createElement("label");
+  speedLabel.className = "text-audio-speed";
+  speedLabel.textContent = `${t("text.audio.speed")} `;
+  const speedSelect = document.createElement("select");
+  SPEEDS.forEach((value) => {
+    const option = document.createElement("option");
+    option.value = String(value);
+    option.textContent = `${value}×`;
+    speedSelect.appendChild(option);
+  });
+  speedSelect.value = String(speed);
+  speedLabel.appendChild(speedSelect);
+
+  const reverseButton = createButton(
+    "about-journey-btn text-audio-reverse",
+    t("text.audio.reverse"),
+  );
+  reverseButton.setAttribute("aria-pressed", "false");
+
+  group.append(playButton, seek, time, speedLabel, reverseButton);
+
+  const getTime = () =>
+    reverseAudio.isReversed ? reverseAudio.getForwardTime() : audio.currentTime || 0;
+
+  const render = () => {
+    const duration = Number.isFinite(audio.duration) ? audio.duration : 0;
+    const current = getTime();
+    const text = t("text.audio.time", {
+      current: formatTime(current),
+      duration: formatTime(audio.duration),
+    });
+    seek.max = String(Math.floor(duration));
+    seek.value = String(Math.floor(current));
+    seek.setAttribute("aria-valuetext", text);
+    time.textContent = text;
+    const playing = !audio.paused || reverseAudio.isReversed;
+    playButton.textContent = playing ? t("menu.pause") : t("menu.play");
+    reverseButton.setAttribute("aria-pressed", String(reverseAudio.isReversed || pendingReverse));
+  };
+
+  const stopReverse = (resume) => {
+    if (!reverseAudio.isReversed) return;
+    const at = reverseAudio.getForwardTime();
+    reverseAudio.stop();
+    audio.currentTime = at;
+    if (resume) audio.play().catch(() => {});
+    render();
+  };
+
+  const tickReverse = (now) => {
+    if (!reverseAudio.isReversed) {
+      frame = null;
+      return;
+    }
+    hooks.onReverse?.((now - lastTick) / 1000);
+    lastTick = now;
+    if (reverseAudio.getForwardTime() <= 0) {
+      stopReverse(false);
+      frame = null;
+      return;
+    }
+    render();
+    frame = requestAnimationFrame(tickReverse);
+  };
+
+  const setPendingReverse = (pending) => {
+    pendingReverse = pending;
+    if (pending) group.setAttribute("aria-busy", "true");
+    else group.removeAttribute("aria-busy");
+    render();
+  };
+
+  /** Reverses from the current position; false while that part is not reversed yet. */
+  const startReverse = () => {
+    reverseAudio.start(audio.currentTime || 0, speed);
+    if (!reverseAudio.isReversed) return false;
+    setPendingReverse(false);
+    audio.pause();
+    lastTick = performance.now();
+    if (frame === null) frame = requestAnimationFrame(tickReverse);
+    render();
+    return true;
+  };
+
+  const handleReverseProgress = ({ phase }) => {
+    if (!pendingReverse) return;
+    if (phase === "failed") {
+      setPendingReverse(false);
+      reverseButton.textContent = t("text.audio.reverseUnavailable");
+    } else {
+      startReverse();
+    }
+  };
+
+  const handlePlay = () => {
+    if (reverseAudio.isReversed) stopReverse(false);
+    else if (audio.paused) audio.play().catch(() => {});
+    else audio.pause();
+  };
+
+  const handleReverse = () => {
+    if (reverseAudio.isReversed) {
+      stopReverse(true);
+    } else if (pendingReverse) {
+      setPendingReverse(false);
+    } else if (!startReverse()) {
+      // The track is fetched and reversed the first time; playback starts once that part is in
+      setPendingReverse(true);
+      reverseAudio.prepare();
+    }
+  };
+
+  const handleSeek = () => {
+    const value = Number(seek.value);
+    if (reverseAudio.isReversed) {
+      reverseAudio.stop();
+      audio.currentTime = value;
+      if (!startReverse()) setPendingReverse(true);
+    } else {
+      audio.currentTime = value;
+    }
+    render();
+  };
+
+  const handleSpeed = () => {
+    speed = Number(speedSelect.value);
+    audio.playbackRate = speed;
+    reverseAudio.setSpeed(speed);
+    hooks.onSpeed?.(speed);
+  };
+
+  playButton.addEventListener("click", handlePlay);
+  reverseButton.addEventListener("click", handleReverse);
+  seek.addEventListener("input", handleSeek);
+  speedSelect.addEventListener("change", handleSpeed);
+  ["play", "pause", "timeupdate", "loadedmetadata", "durationchange"].forEach((type) =>
+    audio.addEventListener(type, render),
+  );
+  audio.playbackRate = speed;
+  render();
+
+  const dispose = () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    stopReverse(false);
+    reverseAudio.dispose();
+    ["play", "pause", "timeupdate", "loadedmetadata", "durationchange"].forEach((type) =>
+      audio.removeEventListener(type, render),
+    );
+  };
+
+  return { element: group, dispose };
+};
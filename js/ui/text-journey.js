@@ -0,0 +1,219 @@
+/**
+ * @module ui/text-journey
+ * Text view of the journey, for screen readers: the current territory with its narrative,
+ * plain audio controls, the tarot choices as a radio group and the places discovered so far.
+ * It drives the same fog, question and persistence logic as the map, so both views share
+ * one journey.
+ */
+
+import { t } from "../i18n/i18n.js";
+import { splitTrackTitle } from "../core/utils.js";
+import { hasBeenQuestioned, isStateRevealed } from "../data/fog.js";
+import { resolveLines } from "../data/narrative.js";
+import { createTextAudioControls } from "./text-audio-controls.js";
+import { createJourneyRecap } from "./journey-recap.js";
+
+const createElement = (tag, className, text) => {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+};
+
+const createButton = (className, text) => {
+  const button = createElement("button", className, text);
+  button.type = "button";
+  return button;
+};
+
+/**
+ * @param {object} deps
+ * @param {HTMLElement} deps.container - Current territory
+ * @param {HTMLElement} [deps.status] - Live region for what a choice revealed
+ * @param {HTMLOListElement} deps.placesList
+ * @param {Object} deps.questions - Question manager from `createQuestionModal`
+ * @param {function(string): object|null} deps.getTrackForState
+ * @param {function(string, object): HTMLAudioElement} deps.getTrackAudio
+ * @param {function(HTMLAudioElement): object} deps.getStatsHooks
+ * @param {function(): Map} deps.getSigilsByState
+ * @param {function(string, object): void} [deps.onStateChange] - Another state was opened
+ */
+export const createTextJourney = ({
+  container,
+  status,
+  placesList,
+  questions,
+  getTrackForState,
+  getTrackAudio,
+  getStatsHooks,
+  getSigilsByState,
+  onStateChange,
+}) => {
+  let stateId = null;
+  let audioControls = null; // { stateId, controls }
+
+  const getTitle = (id) => {
+    const track = getTrackForState(id);
+    return track ? splitTrackTitle(track.title).title : t("finale.recap.unknown", { id });
+  };
+
+  const announce = (text) => {
+    if (status) status.textContent = text;
+  };
+
+  const createGoToButton = (target) => {
+    const button = createButton("about-journey-btn", t("text.goTo", { title: getTitle(target) }));
+    button.addEventListener("click", () => show(target));
+    return button;
+  };
+
+  const createSpreadForm = (spread) => {
+    const form = createElement("form", "text-journey-question");
+    const fieldset = createElement("fieldset");
+    const legend = createElement("legend");
+    legend.innerHTML = spread.question;
+    fieldset.appendChild(legend);
+    spread.cards.forEach((card, index) => {
+      const label = createElement("label", "text-journey-choice");
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = "tarot";
+      input.value = String(index);
+      input.required = true;
+      const text = createElement("span");
+      text.innerHTML = card.text;
+      label.append(input, text);
+      fieldset.appendChild(label);
+    });
+    const submit = createElement("button", "about-journey-btn", t("text.choose"));
+    submit.type = "submit";
+    form.append(fieldset, submit);
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const index = Number(new FormData(form).get("tarot"));
+      const target = questions.answerQuestion(stateId, spread.cards, index);
+      render();
+      announce(t("text.revealed", { title: getTitle(target) }));
+      container.querySelector(".text-journey-answer button")?.focus();
+    });
+    return form;
+  };
+
+  /** The choice made here, the spread still to draw, or the end of the journey. */
+  const createQuestion = () => {
+    const section = createElement("div", "text-journey-answer");
+    const answer = questions.getAnsweredQuestion(stateId);
+    if (answer) {
+      const label = answer.chosenLabel || t("fallback.explore", { id: answer.chosen });
+      section.append(createElement("p", "about-text", t("text.answered", { label })));
+      if (isStateRevealed(answer.chosen)) section.append(createGoToButton(answer.chosen));
+      return section;
+    }
+    if (hasBeenQuestioned(stateId)) return null;
+
+    const spread = questions.getSpread(stateId);
+    if (spread) return createSpreadForm(spread);
+    const finish = createButton("about-journey-btn", t("text.finish"));
+    finish.addEventListener("click", () => {
+      questions.completeJourney(stateId);
+      render();
+    });
+    section.append(finish);
+    return section;
+  };
+
+  const renderPlacesCurrent = () => {
+    placesList?.querySelectorAll(".finale-recap-entry").forEach((entry) => {
+      if (entry.dataset.state === stateId) entry.setAttribute("aria-current", "location");
+      else entry.removeAttribute("aria-current");
+    });
+  };
+
+  const places = createJourneyRecap({
+    list: placesList,
+    getSigilsByState,
+    getTrackForState,
+    getAnsweredQuestion: (id) => questions.getAnsweredQuestion(id),
+    onSelect: (id) => show(id),
+  });
+
+  /** Keeps the same controls across re-renders of one state, so reverse playback survives. */
+  const getAudioControls = (track) => {
+    if (audioControls) return audioControls.controls;
+    const audio = getTrackAudio(stateId, track);
+    audioControls = { stateId, controls: createTextAudioControls(audio, getStatsHooks(audio)) };
+    return audioControls.controls;
+  };
+
+  const render = () => {
+    if (!container || !stateId) return;
+    if (audioControls && audioControls.stateId !== stateId) {
+      audioControls.controls.dispose();
+      audioControls = null;
+    }
+
+    const track = getTrackForState(stateId);
+    const heading = createElement("h2", "text-journey-heading", getTitle(stateId));
+    heading.tabIndex = -1;
+    const children = [heading];
+    if (track) {
+      const { artist } = splitTrackTitle(track.title);
+      if (artist) children.push(createElement("p", "about-subtitle", artist));
+      resolveLines(track.narrative).forEach((line) => {
+        const p = createElement("p", "about-text");
+        p.innerHTML = line;
+        children.push(p);
+      });
+      children.push(getAudioControls(track).element);
+    }
+    const question = createQuestion();
+    if (question) children.push(question);
+    container.replaceChildren(...children);
+
+    places.render();
+    renderPlacesCurrent();
+  };
+
+  /**
+   * Opens a revealed territory in the text view.
+   * @param {string} id
+   * @param {{autoplay?: boolean, pushState?: boolean}} [options] - `autoplay` starts its track,
+   *   e.g. when album mode moves on; the rest is passed to `onStateChange`
+   */
+  const show = (id, options = {}) => {
+    if (!id || !isStateRevealed(String(id))) return;
+    const changed = String(id) !== stateId;
+    stateId = String(id);
+    announce("");
+    render();
+    container?.querySelector(".text-journey-heading")?.focus();
+    if (changed) onStateChange?.(stateId, options);
+    if (options.autoplay) {
+      const track = getTrackForState(stateId);
+      if (track)
+        getTrackAudio(stateId, track)
+          .play()
+          .catch(() => {});
+    }
+  };
+
+  const init = () => {
+    places.init();
+  };
+
+  const dispose = () => {
+    places.dispose();
+    audioControls?.controls.dispose();
+    audioControls = null;
+  };
+
+  return {
+    init,
+    dispose,
+    show,
+    render,
+    get stateId() {
+      return stateId;
+    },
+  };
+};
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * @module scripts/build-precache
+ * Regenerates the precache and asset lists, and their revisions, embedded in `sw.js`.
+ *
+ * Usage:
+ *   node scripts/build-precache.js          # exit 1 when sw.js is out of date
+ *   node scripts/build-precache.js --write  # rewrite the generated block in sw.js
+ *
+ * Only the shell and data are precached on install. Textures, images and character art are
+ * listed separately: cached as they are fetched, or all at once by the offline download.
+ * Each list's revision is a hash of its files, so any change changes `sw.js`, which makes
+ * browsers install the new worker and swap only the caches whose files changed.
+ * Audio (`assets/music/`) is not listed; listeners download it from the about modal.
+ */
+
+import { createHash } from "node:crypto";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SW_PATH = path.join(ROOT, "sw.js");
+const BLOCK_START = "// <precache>";
+const BLOCK_END = "// </precache>";
+
+/** Files and directories (walked recursively) that make up the offline shell and data. */
+const SHELL_ENTRIES = [
+  "index.html",
+  "state.html",
+  "favicon.svg",
+  "favicon-32.png",
+  "favicon-192.png",
+  "apple-touch-icon.png",
+  "css",
+  "js",
+  "data",
+  "assets/fonts",
+  "assets/banner.svg",
+  "assets/divider.svg",
+  "assets/compass-rose-svgrepo-com.svg",
+];
+
+/** Heavier artwork, cached at runtime or by the offline download rather than on install. */
+const ASSET_ENTRIES = [
+  "assets/backgrounds",
+  "assets/characters",
+  "assets/sigils",
+  "assets/textures",
+  "assets/images",
+];
+
+/** Extra root files matched by extension (map data), part of the shell. */
+const ROOT_EXTENSIONS = [".geojson"];
+
+/** Font formats the stylesheets never request. */
+const SKIPPED_EXTENSIONS = [".otf", ".ttf"];
+
+const walk = async (relPath) => {
+  const absPath = path.join(ROOT, relPath);
+  let entries;
+  try {
+    entries = await readdir(absPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOTDIR") return [relPath];
+    throw error;
+  }
+  const nested = await Promise.all(
+    entries
+      .filter((entry) => !entry.name.startsWith("."))
+      .map((entry) => walk(path.posix.join(relPath, entry.name))),
+  );
+  return nested.flat();
+};
+
+const listFiles = async (entries, extraFiles = []) => {
+  const files = (await Promise.all(entries.map(walk))).flat().concat(extraFiles);
+  return files.filter((file) => !SKIPPED_EXTENSIONS.some((ext) => file.endsWith(ext))).sort();
+};
+
+const hashFiles = async (files) => {
+  const hash = createHash("sha256");
+  for (const file of files) {
+    hash.update(file);
+    hash.update(await readFile(path.join(ROOT, file)));
+  }
+  return hash.digest("hex").slice(0, 12);
+};
+
+const toUrlLines = (files) => files.map((file) => `  ${JSON.stringify(`./${file}`)},`);
+
+const buildBlock = async () => {
+  const rootFiles = (await readdir(ROOT)).filter((name) =>
+    ROOT_EXTENSIONS.includes(path.extname(name)),
+  );
+  const shellFiles = await listFiles(SHELL_ENTRIES, rootFiles);
+  const assetFiles = await listFiles(ASSET_ENTRIES);
+  return [
+    `${BLOCK_START} generated by scripts/build-precache.js, do not edit by hand`,
+    `const PRECACHE_REVISION = "${await hashFiles(shellFiles)}";`,
+    `const PRECACHE_URLS = [`,
+    `  "./",`,
+    ...toUrlLines(shellFiles),
+    `];`,
+    `const ASSET_REVISION = "${await hashFiles(assetFiles)}";`,
+    `const ASSET_URLS = [`,
+    ...toUrlLines(assetFiles),
+    `];`,
+    BLOCK_END,
+  ].join("\n");
+};
+
+const run = async ({ write }) => {
+  const source = await readFile(SW_PATH, "utf8");
+  const start = source.indexOf(BLOCK_START);
+  const end = source.indexOf(BLOCK_END);
+  if (start === -1 || end === -1) {
+    throw new Error(`sw.js is missing the ${BLOCK_START} … ${BLOCK_END} markers`);
+  }
+  const next = source.slice(0, start) + (await buildBlock()) + source.slice(end + BLOCK_END.length);
+  if (next === source) {
+    console.log("sw.js: precache up to date");
+    return;
+  }
+  if (write) {
+    await writeFile(SW_PATH, next);
+    console.log("sw.js: precache updated");
+  } else {
+    console.log("sw.js: precache out of date, run with --write");
+    process.exitCode = 1;
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  run({ write: process.argv.includes("--write") }).catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * @module scripts/narratives-to-tracks
+ * Syncs the writers' narrative spreadsheets (CSV exports) into the tracks JSON files.
+ *
+ * Usage:
+ *   node scripts/narratives-to-tracks.js          # print a diff, exit 1 when out of date
+ *   node scripts/narratives-to-tracks.js --write  # rewrite data/tracks*.json
+ *
+ * Rows are matched to tracks through their state number (first column) and the
+ * `states` map of the target file, then checked against the Track column: a row whose title
+ * reads like another track's (e.g. rows reordered without renumbering) stops the sync for
+ * that file. Only the text fields are overwritten; ids, files, links and bpm stay as they
+ * are in the JSON.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const TARGETS = [
+  { csv: "assets/narratives/narrative_fr.csv", json: "data/tracks.json" },
+  { csv: "assets/narratives/narrative_en.csv", json: "data/tracks-en.json" },
+];
+
+/** CSV column index → how it maps onto a track. */
+const COLUMNS = {
+  state: 0,
+  title: 1,
+  narrative: 3,
+  playLabel: 4,
+  hourglassText: 5,
+  choiceA: 6,
+  choiceB: 7,
+};
+
+/**
+ * RFC 4180 parser: quoted cells may contain commas, doubled quotes and line breaks.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/** The JSON files use straight apostrophes and single spaces. */
+const cleanText = (value = "") =>
+  value
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+
+const toParagraphs = (value = "") => value.split(/\r?\n/).map(cleanText).filter(Boolean);
+
+/** Keeps the writers' line breaks (verses, stanzas) but trims each line. */
+const toBlock = (value = "") =>
+  value
+    .split(/\r?\n/)
+    .map(cleanText)
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * @param {string[]} row
+ * @returns {{narrative: string[], playLabel: string, hourglassText: string, choices: string[]}}
+ *   `choices` holds the labels only; see `mergeChoices`.
+ */
+const rowToFields = (row) => ({
+  narrative: toParagraphs(row[COLUMNS.narrative]),
+  playLabel: cleanText(row[COLUMNS.playLabel]),
+  hourglassText: toBlock(row[COLUMNS.hourglassText]),
+  choices: [row[COLUMNS.choiceA], row[COLUMNS.choiceB]].map(cleanText).filter(Boolean),
+});
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Title words, loosely: the sheet and the JSON differ in case, accents and spelling. */
+const toWords = (title = "") =>
+  new Set(
+    title
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/æ/gi, "ae")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean),
+  );
+
+const countShared = (words, title) => [...toWords(title)].filter((w) => words.has(w)).length;
+
+/**
+ * Why the CSV title does not fit `track`, or null when it does: it must share words with the
+ * track's title, and no more with another track's.
+ */
+const checkTitle = (csvTitle, track, tracks) => {
+  const words = toWords(csvTitle);
+  const score = countShared(words, track.title);
+  if (!score) return `"${csvTitle}" does not match "${track.title}"`;
+  const closer = tracks.find((other) => countShared(words, other.title) > score);
+  return closer ? `"${csvTitle}" reads like "${closer.title}", not "${track.title}"` : null;
+};
+
+/**
+ * The CSVs only carry choice labels: keep any branching (`targets`, `when`, `fallback`, `set`)
+ * already authored in the JSON and update its `text`.
+ */
+const mergeChoices = (current = [], labels) =>
+  labels.map((text, i) =>
+    current[i] && typeof current[i] === "object" ? { ...current[i], text } : text,
+  );
+
+/** Flag-conditioned text (see js/data/narrative.js) only lives in the JSON. */
+const hasConditionalText = (key, value) => {
+  if (key === "hourglassText") return value !== undefined && typeof value !== "string";
+  if (key === "narrative")
+    return Array.isArray(value) && value.some((line) => typeof line !== "string");
+  if (key === "choices") {
+    return (
+      Array.isArray(value) &&
+      value.some((choice) => choice?.text && typeof choice.text !== "string")
+    );
+  }
+  return false;
+};
+
+/**
+ * Applies the CSV rows onto a parsed tracks payload.
+ * @returns {{payload: object, changes: string[], warnings: string[], errors: string[]}} The
+ *   payload must not be written when there are errors
+ */
+export const syncTracks = (rows, payload) => {
+  const next = structuredClone(payload);
+  const trackById = new Map(next.tracks.map((track) => [track.id, track]));
+  const changes = [];
+  const warnings = [];
+  const errors = [];
+  rows.slice(1).forEach((row, index) => {
+    const stateId = cleanText(row[COLUMNS.state]);
+    if (!/^\d+$/.test(stateId)) {
+      const label = cleanText(row[COLUMNS.title]);
+      if (label) warnings.push(`row ${index + 2} ("${label}") has no state number, skipped`);
+      return;
+    }
+    const trackId = next.states?.[stateId];
+    const track = trackById.get(trackId);
+    if (!track) {
+      warnings.push(`row ${index + 2}: no track for state ${stateId}, skipped`);
+      return;
+    }
+    const mismatch = checkTitle(cleanText(row[COLUMNS.title]), track, next.tracks);
+    if (mismatch) {
+      errors.push(`row ${index + 2} (state ${stateId}): ${mismatch}`);
+      return;
+    }
+    const fields = rowToFields(row);
+    fields.choices = mergeChoices(track.choices, fields.choices);
+    Object.entries(fields).forEach(([key, value]) => {
+      if (hasConditionalText(key, track[key])) {
+        warnings.push(`state ${stateId} (${trackId}).${key} has conditional text, kept as is`);
+        return;
+      }
+      if (sameValue(track[key], value)) return;
+      changes.push(
+        `  state ${stateId} (${trackId}).${key}\n` +
+          `    - ${JSON.stringify(track[key])}\n` +
+          `    + ${JSON.stringify(value)}`,
+      );
+      track[key] = value;
+    });
+  });
+  return { payload: next, changes, warnings, errors };
+};
+
+const run = async ({ write }) => {
+  let outdated = false;
+  for (const target of TARGETS) {
+    const csvText = await readFile(path.join(ROOT, target.csv), "utf8");
+    const jsonPath = path.join(ROOT, target.json);
+    const payload = JSON.parse(await readFile(jsonPath, "utf8"));
+    const { payload: next, changes, warnings, errors } = syncTracks(parseCsv(csvText), payload);
+    warnings.forEach((warning) => console.warn(`[narratives] ${target.csv}: ${warning}`));
+    if (errors.length) {
+      errors.forEach((error) => console.error(`[narratives] ${target.csv}: ${error}`));
+      console.error(`${target.json}: not synced, check the state numbers of these rows`);
+      process.exitCode = 1;
+      continue;
+    }
+    if (!changes.length) {
+      console.log(`${target.json}: up to date`);
+      continue;
+    }
+    if (write) {
+      await writeFile(jsonPath, `${JSON.stringify(next, null, 2)}\n`);
+      console.log(`${target.json}: wrote ${changes.length} change(s)`);
+    } else {
+      outdated = true;
+      console.log(`${target.json}: ${changes.length} change(s)\n${changes.join("\n")}`);
+    }
+  }
+  if (outdated) {
+    console.log("\nRun with --write to apply.");
+    process.exitCode = 1;
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  run({ write: process.argv.includes("--write") }).catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
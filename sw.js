@@ -0,0 +1,420 @@
+/**
+ * Service worker: precaches the app shell and album data, caches artwork as it is fetched
+ * (or all at once for offline use), serves audio downloaded for offline listening, and swaps
+ * caches when a revision changes.
+ * Lives at the site root so its scope covers every page.
+ */
+
+// <precache> generated by scripts/build-precache.js, do not edit by hand
+const PRECACHE_REVISION = "c8df70b5647c";
+const PRECACHE_URLS = [
+  "./",
+  "./Mia Cells 2025-12-23.geojson",
+  "./apple-touch-icon.png",
+  "./assets/banner.svg",
+  "./assets/compass-rose-svgrepo-com.svg",
+  "./assets/divider.svg",
+  "./assets/fonts/Sinistre-Bold.woff",
+  "./assets/fonts/Sinistre-Bold.woff2",
+  "./assets/fonts/Sinistre-Dark.woff",
+  "./assets/fonts/Sinistre-Dark.woff2",
+  "./assets/fonts/Sinistre-Regular.woff",
+  "./assets/fonts/Sinistre-Regular.woff2",
+  "./assets/fonts/SinistreVF.woff2",
+  "./css/base.css",
+  "./css/characters.css",
+  "./css/hourglass.css",
+  "./css/layout.css",
+  "./css/map.css",
+  "./css/modals.css",
+  "./css/responsive.css",
+  "./css/style.css",
+  "./css/tarot.css",
+  "./css/trails.css",
+  "./data/albums/vol1.json",
+  "./data/sigils.json",
+  "./data/tracks-en.json",
+  "./data/tracks.json",
+  "./favicon-192.png",
+  "./favicon-32.png",
+  "./favicon.svg",
+  "./index.html",
+  "./js/app.js",
+  "./js/audio/audio-engine.js",
+  "./js/audio/audio-reactive.js",
+  "./js/audio/beat-grid.js",
+  "./js/audio/hourglass/hourglass-3d.js",
+  "./js/audio/hourglass/hourglass-audio.js",
+  "./js/audio/hourglass/hourglass-constants.js",
+  "./js/audio/hourglass/hourglass-gestures.js",
+  "./js/audio/hourglass/hourglass-loop.js",
+  "./js/audio/hourglass/hourglass-particles.js",
+  "./js/audio/hourglass/hourglass-player.js",
+  "./js/audio/hourglass/hourglass-waveform.js",
+  "./js/audio/hourglass/reverse-chunks.js",
+  "./js/audio/hourglass/reverse-worker.js",
+  "./js/audio/hourglass/track-cache.js",
+  "./js/audio/media-session.js",
+  "./js/audio/playback.js",
+  "./js/core/constants.js",
+  "./js/core/dom-refs.js",
+  "./js/core/keybindings.js",
+  "./js/core/random.js",
+  "./js/core/store.js",
+  "./js/core/utils.js",
+  "./js/data/album.js",
+  "./js/data/branching.js",
+  "./js/data/data.js",
+  "./js/data/endings.js",
+  "./js/data/fog.js",
+  "./js/data/journey-codec.js",
+  "./js/data/listening-stats.js",
+  "./js/data/listening.js",
+  "./js/data/narrative.js",
+  "./js/data/offline.js",
+  "./js/data/persistence.js",
+  "./js/data/validate.js",
+  "./js/i18n/i18n.js",
+  "./js/main.js",
+  "./js/map/geometry.js",
+  "./js/map/map-access.js",
+  "./js/map/map-gestures.js",
+  "./js/map/map.js",
+  "./js/map/navigation.js",
+  "./js/map/outline.js",
+  "./js/map/rivers.js",
+  "./js/map/sigils.js",
+  "./js/map/texture-canvas.js",
+  "./js/map/thematic.js",
+  "./js/map/viewbox.js",
+  "./js/state.js",
+  "./js/three/three-interaction.js",
+  "./js/three/three-loader.js",
+  "./js/three/three-mesh.js",
+  "./js/three/three-morph.js",
+  "./js/three/three-scene.js",
+  "./js/ui/character-dancer.js",
+  "./js/ui/character-data.js",
+  "./js/ui/character-map.js",
+  "./js/ui/character-select.js",
+  "./js/ui/character-state.js",
+  "./js/ui/info-pane-gesture.js",
+  "./js/ui/info-panel.js",
+  "./js/ui/journey-recap.js",
+  "./js/ui/journey-transfer.js",
+  "./js/ui/keyboard-help.js",
+  "./js/ui/keyboard.js",
+  "./js/ui/kick-detector.js",
+  "./js/ui/layout.js",
+  "./js/ui/listening-panel.js",
+  "./js/ui/map-modes.js",
+  "./js/ui/offline-download.js",
+  "./js/ui/playback-bar.js",
+  "./js/ui/question-modal.js",
+  "./js/ui/text-audio-controls.js",
+  "./js/ui/text-journey.js",
+  "./mia_river_lines.geojson",
+  "./state.html",
+];
+const ASSET_REVISION = "6d0f7890124c";
+const ASSET_URLS = [
+  "./assets/backgrounds/Group.svg",
+  "./assets/backgrounds/GroupId.svg",
+  "./assets/backgrounds/TYPOWORKS8.svg",
+  "./assets/backgrounds/VISUALWORKS54.png",
+  "./assets/characters/demon-frame1.svg",
+  "./assets/characters/demon-frame2.svg",
+  "./assets/characters/demon-frame3.svg",
+  "./assets/characters/demon.svg",
+  "./assets/characters/demon/armwave/frame1.svg",
+  "./assets/characters/demon/armwave/frame2.svg",
+  "./assets/characters/demon/armwave/frame3.svg",
+  "./assets/characters/demon/armwave/frame4.svg",
+  "./assets/characters/demon/armwave/frame5.svg",
+  "./assets/characters/demon/headbang/frame1.svg",
+  "./assets/characters/demon/headbang/frame2.svg",
+  "./assets/characters/demon/headbang/frame3.svg",
+  "./assets/characters/demon/hipshake/frame1.svg",
+  "./assets/characters/demon/hipshake/frame2.svg",
+  "./assets/characters/demon/hipshake/frame3.svg",
+  "./assets/characters/demon/hipshake/frame4.svg",
+  "./assets/characters/demon/idle/frame1.svg",
+  "./assets/characters/demon/idle/frame2.svg",
+  "./assets/characters/demon/idle/frame3.svg",
+  "./assets/characters/demon/jump/frame1.svg",
+  "./assets/characters/demon/jump/frame2.svg",
+  "./assets/characters/demon/jump/frame3.svg",
+  "./assets/characters/demon/jump/frame4.svg",
+  "./assets/characters/demon/stomp/frame1.svg",
+  "./assets/characters/demon/stomp/frame2.svg",
+  "./assets/characters/demon/stomp/frame3.svg",
+  "./assets/characters/demon/turn/frame1.svg",
+  "./assets/characters/demon/turn/frame2.svg",
+  "./assets/characters/demon/turn/frame3.svg",
+  "./assets/characters/demon/turn/frame4.svg",
+  "./assets/characters/demon/turn/frame5.svg",
+  "./assets/characters/demon/turn/frame6.svg",
+  "./assets/characters/gargoyle-frame1.svg",
+  "./assets/characters/gargoyle-frame2.svg",
+  "./assets/characters/gargoyle-frame3.svg",
+  "./assets/characters/gargoyle.svg",
+  "./assets/characters/gargoyle/armwave/frame1.svg",
+  "./assets/characters/gargoyle/armwave/frame2.svg",
+  "./assets/characters/gargoyle/armwave/frame3.svg",
+  "./assets/characters/gargoyle/armwave/frame4.svg",
+  "./assets/characters/gargoyle/armwave/frame5.svg",
+  "./assets/characters/gargoyle/headbang/frame1.svg",
+  "./assets/characters/gargoyle/headbang/frame2.svg",
+  "./assets/characters/gargoyle/headbang/frame3.svg",
+  "./assets/characters/gargoyle/hipshake/frame1.svg",
+  "./assets/characters/gargoyle/hipshake/frame2.svg",
+  "./assets/characters/gargoyle/hipshake/frame3.svg",
+  "./assets/characters/gargoyle/hipshake/frame4.svg",
+  "./assets/characters/gargoyle/idle/frame1.svg",
+  "./assets/characters/gargoyle/idle/frame2.svg",
+  "./assets/characters/gargoyle/idle/frame3.svg",
+  "./assets/characters/gargoyle/jump/frame1.svg",
+  "./assets/characters/gargoyle/jump/frame2.svg",
+  "./assets/characters/gargoyle/jump/frame3.svg",
+  "./assets/characters/gargoyle/jump/frame4.svg",
+  "./assets/characters/gargoyle/stomp/frame1.svg",
+  "./assets/characters/gargoyle/stomp/frame2.svg",
+  "./assets/characters/gargoyle/stomp/frame3.svg",
+  "./assets/characters/gargoyle/turn/frame1.svg",
+  "./assets/characters/gargoyle/turn/frame2.svg",
+  "./assets/characters/gargoyle/turn/frame3.svg",
+  "./assets/characters/gargoyle/turn/frame4.svg",
+  "./assets/characters/gargoyle/turn/frame5.svg",
+  "./assets/characters/gargoyle/turn/frame6.svg",
+  "./assets/characters/succube-frame1.svg",
+  "./assets/characters/succube-frame2.svg",
+  "./assets/characters/succube-frame3.svg",
+  "./assets/characters/succube.svg",
+  "./assets/characters/succube/armwave/frame1.svg",
+  "./assets/characters/succube/armwave/frame2.svg",
+  "./assets/characters/succube/armwave/frame3.svg",
+  "./assets/characters/succube/armwave/frame4.svg",
+  "./assets/characters/succube/armwave/frame5.svg",
+  "./assets/characters/succube/headbang/frame1.svg",
+  "./assets/characters/succube/headbang/frame2.svg",
+  "./assets/characters/succube/headbang/frame3.svg",
+  "./assets/characters/succube/hipshake/frame1.svg",
+  "./assets/characters/succube/hipshake/frame2.svg",
+  "./assets/characters/succube/hipshake/frame3.svg",
+  "./assets/characters/succube/hipshake/frame4.svg",
+  "./assets/characters/succube/idle/frame1.svg",
+  "./assets/characters/succube/idle/frame2.svg",
+  "./assets/characters/succube/idle/frame3.svg",
+  "./assets/characters/succube/jump/frame1.svg",
+  "./assets/characters/succube/jump/frame2.svg",
+  "./assets/characters/succube/jump/frame3.svg",
+  "./assets/characters/succube/jump/frame4.svg",
+  "./assets/characters/succube/stomp/frame1.svg",
+  "./assets/characters/succube/stomp/frame2.svg",
+  "./assets/characters/succube/stomp/frame3.svg",
+  "./assets/characters/succube/turn/frame1.svg",
+  "./assets/characters/succube/turn/frame2.svg",
+  "./assets/characters/succube/turn/frame3.svg",
+  "./assets/characters/succube/turn/frame4.svg",
+  "./assets/characters/succube/turn/frame5.svg",
+  "./assets/characters/succube/turn/frame6.svg",
+  "./assets/images/1000_F_248110301_ON8MMUUAmDMyUSd4x2BblieSpquwdOXr.jpg",
+  "./assets/images/1450280498071oliver-astrologo-architectural-photography-giuseppe-perugini-ruins-casa-sperimentale-designboom-01.avif",
+  "./assets/images/1699px-Montreal_-_QC_-_Habitat67_1024x1024.webp",
+  "./assets/images/3cb0f15caf4d1063bdb183058bcd63e4.jpg",
+  "./assets/images/5b1a4325b73c31889926ea89564b9e04.jpg",
+  "./assets/images/7b5bd5915220765cab0fbb32c88079e7.jpg",
+  "./assets/images/Capture-d’écran-2017-02-23-à-08.53.06-1160x769.png",
+  "./assets/images/KI-X4010.jpg",
+  "./assets/images/cc7f66c4172364926f5d0ccc3ba8f2e0.jpg",
+  "./assets/images/image (1).jpg",
+  "./assets/images/image (2).jpg",
+  "./assets/images/image (3).jpg",
+  "./assets/images/image (4).jpg",
+  "./assets/images/images.jpg",
+  "./assets/images/nglkicvkojb91.png",
+  "./assets/images/northlandscapes-iceland-tidal-glitch-01.jpg",
+  "./assets/sigils/Group1.svg",
+  "./assets/sigils/Group2.svg",
+  "./assets/sigils/Vector.svg",
+  "./assets/sigils/Vector1.svg",
+  "./assets/sigils/Vector2.svg",
+  "./assets/sigils/Vector3.svg",
+  "./assets/sigils/Vector4.svg",
+  "./assets/sigils/Vector5.svg",
+  "./assets/sigils/Vector6.svg",
+  "./assets/sigils/Vector7.svg",
+  "./assets/sigils/Vector8.svg",
+  "./assets/textures/VISUALWORKS1 6.png",
+  "./assets/textures/VISUALWORKS14 1.png",
+  "./assets/textures/VISUALWORKS23.png",
+  "./assets/textures/VISUALWORKS25 2.png",
+  "./assets/textures/VISUALWORKS32 2.png",
+  "./assets/textures/VISUALWORKS33 1.png",
+  "./assets/textures/VISUALWORKS36 1.png",
+  "./assets/textures/VISUALWORKS41 1.png",
+  "./assets/textures/VISUALWORKS54 1.png",
+  "./assets/textures/VISUALWORKS57 1.png",
+  "./assets/textures/VISUALWORKS58 1.png",
+];
+// </precache>
+
+const SHELL_CACHE_PREFIX = "ataraxie-shell-";
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${PRECACHE_REVISION}`;
+const ASSET_CACHE_PREFIX = "ataraxie-assets-";
+const ASSET_CACHE = `${ASSET_CACHE_PREFIX}${ASSET_REVISION}`;
+// Must match AUDIO_CACHE_NAME in js/data/offline.js.
+const AUDIO_CACHE = "ataraxie-audio-v1";
+const AUDIO_PATH = "/assets/music/";
+
+// Third-party modules and scripts the app imports at runtime (see core/constants.js, index.html).
+const CDN_URLS = [
+  "https://unpkg.com/three@0.164.1/build/three.module.js",
+  "https://unpkg.com/three@0.164.1/examples/jsm/loaders/SVGLoader.js?module",
+  "https://cdn.jsdelivr.net/npm/canvas-confetti@1.9.3/dist/confetti.browser.min.js",
+];
+
+const ASSET_PATHS = new Set(ASSET_URLS.map((url) => new URL(url, self.location).pathname));
+
+/**
+ * Caches each URL not cached yet; one failure does not stop the others.
+ * @returns {Promise<string[]>} URLs that failed
+ */
+const cacheEach = async (cacheName, urls) => {
+  const cache = await caches.open(cacheName);
+  const failed = [];
+  await Promise.all(
+    urls.map(async (url) => {
+      if (await cache.match(url)) return;
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await cache.put(url, response);
+      } catch (error) {
+        console.warn(`[sw] Failed to cache ${url}:`, error.message);
+        failed.push(url);
+      }
+    }),
+  );
+  return failed;
+};
+
+// Only the shell has to be cached for the install to succeed: an unreachable CDN leaves its
+// modules to be cached on first use instead.
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => cacheEach(SHELL_CACHE, CDN_URLS)),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                (key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE) ||
+                (key.startsWith(ASSET_CACHE_PREFIX) && key !== ASSET_CACHE),
+            )
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// "cache-assets" (from the offline download) answers on its port with the URLs that failed.
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skip-waiting") self.skipWaiting();
+  if (event.data?.type === "cache-assets") {
+    const reply = (failed) => event.ports[0]?.postMessage({ failed });
+    event.waitUntil(
+      cacheEach(ASSET_CACHE, ASSET_URLS)
+        .then(reply)
+        .catch((error) => {
+          // e.g. the cache could not be opened: nothing was stored
+          console.warn("[sw] Failed to cache assets:", error.message);
+          reply(ASSET_URLS);
+        }),
+    );
+  }
+});
+
+/** Pages: network first so deploys show up, cached shell when offline. */
+const networkFirst = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/** Static files and CDN modules: cached copy first, otherwise network (kept for next time). */
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && (response.type === "basic" || response.type === "cors")) {
+    const isAsset = ASSET_PATHS.has(new URL(request.url).pathname);
+    const cache = await caches.open(isAsset ? ASSET_CACHE : SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+/** Builds a 206 from a cached file so `<audio>` can seek while offline. */
+const rangeResponse = async (cached, rangeHeader) => {
+  const blob = await cached.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  const size = blob.size;
+  let start = match?.[1] ? Number(match[1]) : NaN;
+  let end = match?.[2] ? Number(match[2]) : size - 1;
+  if (match && !match[1] && match[2]) {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  }
+  if (!Number.isFinite(start) || start >= size || end < start) {
+    return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${size}` } });
+  }
+  end = Math.min(end, size - 1);
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": cached.headers.get("Content-Type") || "audio/mpeg",
+      "Content-Length": String(end - start + 1),
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Accept-Ranges": "bytes",
+    },
+  });
+};
+
+/** Audio: only served from cache when the album was downloaded for offline. */
+const serveAudio = async (request) => {
+  const cache = await caches.open(AUDIO_CACHE);
+  const cached = await cache.match(request.url);
+  if (!cached) return fetch(request);
+  const range = request.headers.get("range");
+  return range ? rangeResponse(cached, range) : cached;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin && url.pathname.includes(AUDIO_PATH)) {
+    event.respondWith(serveAudio(request));
+  } else if (url.origin === self.location.origin || CDN_URLS.includes(request.url)) {
+    event.respondWith(cacheFirst(request));
+  }
+});